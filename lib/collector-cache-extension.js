@@ -14,30 +14,132 @@ const fs = require('fs')
 const path = require('path')
 
 // Import utilities
-const { computeHashes, computeContentHash } = require('./utils/hash')
-const { checkOutputsExist, copyDirectory } = require('./utils/fs')
-const { loadPointerFile, restoreFilesToWorktree } = require('./utils/cache')
-const { generateWorktreeFolderName, isLocalDevelopment } = require('./utils/git')
-const { resolveSources, resolveDependencySources, buildEntriesMap } = require('./utils/sources')
+const {
+  KEY_VERSION,
+  DEFAULT_HASH_CONCURRENCY,
+  DEFAULT_HASH_ALGORITHM,
+  ABSENT_SOURCE_HASH,
+  MISSING_SOURCE_POLICIES,
+  computeHashes,
+  computeGitObjectHashes,
+  computeFileMetadata,
+  computeContentHash,
+  computeHash,
+  validateHashAlgorithm,
+} = require('./utils/hash')
+const {
+  isPointerCurrent,
+  usesHashAlgorithm,
+  diffPointer,
+  saveReport,
+  loadHashMemo,
+  saveHashMemo,
+  restoreFilesToWorktree,
+} = require('./utils/cache')
+const { generateWorktreeFolderName, isLocalDevelopment, buildRef, readSubmoduleCommits } = require('./utils/git')
+const {
+  createSourceMatcher,
+  isNegatedPattern,
+  mayReadFromDirectory,
+  resolveSources,
+  resolveExternalSources,
+  buildEntriesMap,
+} = require('./utils/sources')
+const { resolveToolVersions, resolveKeyCommands, buildKeyInputs } = require('./utils/key')
+const { parseNormalizeRules, createNormalizeResolver } = require('./utils/normalize')
+const { loadHashers, parseHasherRules, createHasherResolver } = require('./utils/hashers')
+const { loadCacheStore } = require('./utils/store')
 
 const EXTENSION_NAME = 'collector-cache-extension'
 const DEFAULT_CACHE_DIR = '.cache/antora/collector-cache'
+const MAX_LOGGED_CHANGES = 20
 
 /**
  * Register the collector cache extension
+ *
+ * @param {object} [options] - Registration options passed by Antora
+ * @param {object} [options.config] - Extension configuration from the playbook
+ * @param {string|number} [options.config.cacheVersion] - Cache epoch mixed into every content hash
+ * @param {boolean} [options.config.gitObjectIds] - Identify sources by git blob object ID instead of SHA-256
+ * @param {number} [options.config.hashConcurrency] - Maximum number of source files hashed at a time
+ * @param {object} [options.config.hashers] - Custom hasher modules by name, referenced by run.sources entries
+ * @param {string} [options.config.hashAlgorithm] - Digest algorithm from node:crypto (default: sha256)
+ * @param {string} [options.config.report] - JSON file to write cache check results to, relative to playbook.dir
+ * @param {string|object} [options.config.cacheStore] - Cache store name or module, or object with `require` and
+ *   store options (default: local)
  */
-module.exports.register = function () {
+module.exports.register = function ({ config = {} } = {}) {
   const logger = this.getLogger(EXTENSION_NAME)
 
+  // Playbook-level settings that apply to every entry
+  const settings = {
+    cacheVersion: config.cacheVersion,
+    gitObjectIds: config.gitObjectIds === true,
+    verifySources: process.env.VERIFY_SOURCES === 'true',
+    hashConcurrency: Number(config.hashConcurrency) || DEFAULT_HASH_CONCURRENCY,
+    hashAlgorithm: validateHashAlgorithm(config.hashAlgorithm || DEFAULT_HASH_ALGORITHM),
+    // Loaded from the playbook directory once the playbook is known
+    hashers: new Map(),
+    cacheDir: undefined,
+    report: config.report,
+  }
+
   // Track entries for cache updates after build
   const cacheEntries = []
 
+  // Result of the cache check of each entry, for the report
+  const reportEntries = []
+
+  // Stat-based hash memos, loaded once per worktree and saved at the end of each event
+  const hashMemos = new Map()
+
+  // Cache stores by directory, since a component may keep its cache in a directory of its own
+  const stores = new Map()
+  const { dir: storeDir, ...storeConfig } =
+    typeof config.cacheStore === 'string' ? { require: config.cacheStore } : config.cacheStore || {}
+
+  const getCacheStore = (playbook, cacheDir) => {
+    if (!stores.has(cacheDir)) {
+      stores.set(cacheDir, loadCacheStore(storeConfig, { playbookDir: playbook.dir, cacheDir, logger }))
+    }
+    return stores.get(cacheDir)
+  }
+
+  const closeCacheStores = async () => {
+    for (const store of stores.values()) {
+      if (store.close) await store.close()
+    }
+  }
+
+  const getHashMemo = (playbook, worktree) => {
+    if (!hashMemos.has(worktree)) {
+      // Memoized digests are only valid for the algorithm they were computed with
+      const algorithmSuffix = settings.hashAlgorithm === DEFAULT_HASH_ALGORITHM ? '' : `-${settings.hashAlgorithm}`
+      const memoName = `${computeHash(worktree).substring(0, 16)}${algorithmSuffix}.json`
+      hashMemos.set(worktree, loadHashMemo(path.join(settings.cacheDir, 'memo', memoName), logger))
+    }
+    return hashMemos.get(worktree)
+  }
+
+  const saveHashMemos = () => {
+    for (const memo of hashMemos.values()) {
+      try {
+        saveHashMemo(memo, logger)
+      } catch (error) {
+        logger.warn(`Failed to save hash memo ${memo.path}: ${error.message}`)
+      }
+    }
+  }
+
   /**
    * Main event: Process collector-cache configuration before collector runs
    */
   this.once('contentAggregated', async ({ contentAggregate, playbook }) => {
     const dryRun = process.env.DRY_RUN === 'true'
     logger.info('Processing collector-cache configuration')
+    settings.hashers = loadHashers(config.hashers, playbook.dir)
+    settings.cacheDir = path.resolve(playbook.dir, storeDir || DEFAULT_CACHE_DIR)
+    const defaultStore = getCacheStore(playbook, settings.cacheDir)
     if (dryRun) {
       logger.info('DRY RUN MODE - will exit after cache check')
     }
@@ -113,9 +215,11 @@ module.exports.register = function () {
           continue
         }
 
-        // Get cache directory
-        const cacheDir = cacheConfig.cacheDir || DEFAULT_CACHE_DIR
-        const componentHashDir = path.join(playbook.dir, cacheDir, 'hashes', componentName)
+        // A component may keep its cache in a directory of its own, relative to the playbook directory
+        const store =
+          !Array.isArray(cacheConfig) && cacheConfig.cacheDir
+            ? getCacheStore(playbook, path.resolve(playbook.dir, cacheConfig.cacheDir))
+            : defaultStore
 
         // Build entries map for dependency resolution (needed for both paths)
         const entriesMap = buildEntriesMap(entries)
@@ -195,36 +299,21 @@ module.exports.register = function () {
 
             // Add to collector to run
             origin.descriptor.ext.collector.push(entry)
+            reportEntries.push({ component: componentName, key: run.key, result: 'miss', reason: 'no worktree' })
 
-            // Resolve dependencies to get combined sources
-            const dependsOn = run.dependson || run.dependsOn || []
-            const depSources = resolveDependencySources(
-              entriesMap,
-              dependsOn,
-              new Set([run.key]),
-              logger,
-              componentName,
-              run.key
-            )
-
-            // Combine entry's own sources with dependency sources
-            const allSources = [...run.sources, ...depSources.sources]
-            const allSourceCommands = [
-              ...(run.sourcecommands || run.sourceCommands || []),
-              ...depSources.sourceCommands,
-            ]
-
-            // Track for caching after build (with resolved sources)
+            // Track for caching after build (dependency keys are chained in through entriesMap)
             cacheEntries.push({
               componentName,
-              componentHashDir,
               key: run.key,
-              sources: allSources, // Store combined sources (incl. dependencies)
-              sourceCommands: allSourceCommands, // Store combined sourceCommands (incl. dependencies)
+              run,
+              entriesMap,
+              origin,
+              store,
               collectorCacheDir,
               worktreePrefix,
               outputDir: cachedir,
               sourceHashes: null,
+              keyInputs: null,
               contentHash: null,
             })
           }
@@ -233,6 +322,24 @@ module.exports.register = function () {
 
         logger.debug(`Processing ${entries.length} entries for ${componentName}`)
 
+        // Computes (and memoizes) entry keys, chaining in the content hashes of dependencies
+        const resolveEntryKey = createEntryKeyResolver(
+          worktree,
+          entriesMap,
+          {
+            ...settings,
+            ...resolveWorktreeRepo(worktree, origin),
+            hashMemo: getHashMemo(playbook, worktree),
+            playbookDir: playbook.dir,
+          },
+          logger,
+          componentName
+        )
+
+        // Submodules hashed by their recorded commit are only checked out if an entry has to run
+        const deferredSubmodules = selectDeferredSubmodules(entriesMap)
+        let runsCollector = false
+
         for (const entry of entries) {
           const { run, scan } = entry
 
@@ -243,7 +350,7 @@ module.exports.register = function () {
             continue
           }
 
-          const { key, sources } = run
+          const { key } = run
           const outputDir = cachedir
 
           try {
@@ -251,15 +358,18 @@ module.exports.register = function () {
             if (!fs.existsSync(worktree)) {
               logger.debug(`Worktree does not exist yet for ${componentName}/${key} - cache MISS`)
               origin.descriptor.ext.collector.push(entry)
+              reportEntries.push({ component: componentName, key, result: 'miss', reason: 'no worktree' })
               cacheEntries.push({
                 componentName,
-                componentHashDir,
                 key,
-                sources,
-                sourceCommands: run.sourcecommands || run.sourceCommands,
+                run,
+                entriesMap,
+                origin,
+                store,
                 worktree,
                 outputDir,
                 sourceHashes: null,
+                keyInputs: null,
                 contentHash: null,
               })
               continue
@@ -272,70 +382,57 @@ module.exports.register = function () {
             }
 
             // Initialize submodules (works for both local and remote builds)
-            await initializeSubmodules(worktree, logger)
-
-            // Resolve sources from dependencies first
-            const dependsOn = run.dependson || run.dependsOn || []
-            const depSources = resolveDependencySources(
-              entriesMap,
-              dependsOn,
-              new Set([key]),
-              logger,
-              componentName,
-              key
-            )
-
-            // Combine entry's own sources with dependency sources
-            const allSources = [...sources, ...depSources.sources]
-            const allSourceCommands = [
-              ...(run.sourcecommands || run.sourceCommands || []),
-              ...depSources.sourceCommands,
-            ]
-
-            // Resolve dynamic sources from sourceCommands (including dependencies)
-            const resolvedSources = await resolveSources(
+            await initializeSubmodules(
               worktree,
-              allSources,
-              allSourceCommands,
               logger,
-              componentName,
-              key
+              deferredSubmodules.map((submodulePath) => `:(exclude)${submodulePath}`)
             )
 
-            // Compute source file hashes
-            const sourceHashes = computeHashes(worktree, resolvedSources, logger, componentName, key)
+            // Resolve sources and compute the cache key (including the keys of dependencies)
+            const entryKey = await resolveEntryKey(key)
 
-            if (sourceHashes === null) {
+            if (entryKey === null) {
               logger.debug(`Source files not found for ${componentName}/${key} - cache MISS`)
               origin.descriptor.ext.collector.push(entry)
+              runsCollector = true
+              reportEntries.push({ component: componentName, key, result: 'miss', reason: 'missing sources' })
               cacheEntries.push({
                 componentName,
-                componentHashDir,
                 key,
-                sources,
-                sourceCommands: run.sourcecommands || run.sourceCommands,
+                run,
+                entriesMap,
+                origin,
+                store,
                 worktree,
                 outputDir,
                 sourceHashes: null,
+                keyInputs: null,
                 contentHash: null,
               })
               continue
             }
 
-            // Compute content hash from source hashes
-            const contentHash = computeContentHash(sourceHashes)
+            const { sourceHashes, keyInputs, contentHash } = entryKey
 
             // Look up pointer file
-            const pointerPath = path.join(componentHashDir, key, `${contentHash}.json`)
-            const pointer = loadPointerFile(pointerPath, logger)
+            let pointer = await store.getPointer(componentName, key, contentHash)
+            let missReason = 'no cache entry'
+
+            // Ignore pointers written by an older key scheme rather than trusting them
+            if (pointer && !isPointerCurrent(pointer, logger)) {
+              pointer = null
+              missReason = 'outdated key scheme'
+            } else if (pointer && !usesHashAlgorithm(pointer, settings.hashAlgorithm, logger)) {
+              pointer = null
+              missReason = 'hash algorithm changed'
+            }
 
             // Check if cached outputs exist
             const forceRun = process.env.FORCE_COLLECTOR === 'true'
             let cachedOutputsExist = false
 
             if (pointer) {
-              const cachedOutputPath = path.join(playbook.dir, cacheDir, 'outputs', pointer.outputDir, outputDir)
-              cachedOutputsExist = checkOutputsExist(cachedOutputPath, logger)
+              cachedOutputsExist = await store.hasOutputs(pointer.outputDir, outputDir)
             }
 
             const shouldSkip = !forceRun && pointer && cachedOutputsExist
@@ -347,15 +444,23 @@ module.exports.register = function () {
               // This is necessary because the collector extension deletes scan directories before
               // running commands (see @antora/collector-extension line 55). If we point scan to
               // our cache directory, the collector deletes it and subsequent runs get MISS.
-              const cacheOutputPath = path.join(playbook.dir, cacheDir, 'outputs', pointer.outputDir, outputDir)
               const worktreeOutputPath = path.join(worktree, outputDir)
-              copyDirectory(cacheOutputPath, worktreeOutputPath, logger)
+              await store.fetchOutputs(pointer.outputDir, outputDir, worktreeOutputPath)
               logger.debug(`Restored cached outputs to worktree: ${worktreeOutputPath}`)
+              reportEntries.push({ component: componentName, key, result: 'hit', contentHash })
 
               // Also restore any additional files specified by restoreToWorktree patterns
+              // (the fetched outputs are the local copy of the cache)
               const restorePatterns = run.restoretoworktree || run.restoreToWorktree
               if (restorePatterns && Array.isArray(restorePatterns) && restorePatterns.length > 0) {
-                restoreFilesToWorktree(cacheOutputPath, worktreeOutputPath, restorePatterns, logger, componentName, key)
+                restoreFilesToWorktree(
+                  worktreeOutputPath,
+                  worktreeOutputPath,
+                  restorePatterns,
+                  logger,
+                  componentName,
+                  key
+                )
               }
 
               // Let collector scan from worktree (normal behavior).
@@ -369,22 +474,36 @@ module.exports.register = function () {
                 })
               }
             } else {
-              const reason = forceRun ? 'FORCE_COLLECTOR=true' : !pointer ? 'no cache entry' : 'cached outputs missing'
+              const reason = forceRun ? 'FORCE_COLLECTOR=true' : !pointer ? missReason : 'cached outputs missing'
               logger.info(`Cache MISS for ${componentName}/${key} (${reason})`)
 
+              // Explain a changed key by comparing it with the last pointer written for the entry
+              let changes
+              if (!forceRun && !pointer && missReason === 'no cache entry') {
+                const previousPointer = store.getLatestPointer ? await store.getLatestPointer(componentName, key) : null
+                if (previousPointer) {
+                  changes = diffPointer(previousPointer, sourceHashes, keyInputs)
+                  logMissChanges(changes, logger)
+                }
+              }
+              reportEntries.push({ component: componentName, key, result: 'miss', reason, contentHash, changes })
+
               // Run collector
               origin.descriptor.ext.collector.push({ run, scan })
+              runsCollector = true
 
-              // Track for cache update (store resolved sources with dependencies)
+              // Track for cache update
               cacheEntries.push({
                 componentName,
-                componentHashDir,
                 key,
-                sources: allSources, // Store combined sources (incl. dependencies)
-                sourceCommands: allSourceCommands, // Store combined sourceCommands (incl. dependencies)
+                run,
+                entriesMap,
+                origin,
+                store,
                 worktree,
                 outputDir,
                 sourceHashes,
+                keyInputs,
                 contentHash,
               })
             }
@@ -392,12 +511,30 @@ module.exports.register = function () {
             logger.error(`Error processing entry ${componentName}/${key}: ${error.message}`)
             logger.debug(error.stack)
             origin.descriptor.ext.collector.push({ run, scan })
+            runsCollector = true
+            reportEntries.push({ component: componentName, key, result: 'miss', reason: 'error', error: error.message })
           }
         }
+
+        // Commands may read the files of any submodule
+        if (runsCollector && deferredSubmodules.length > 0 && fs.existsSync(worktree)) {
+          await initializeSubmodules(worktree, logger, deferredSubmodules)
+        }
+      }
+    }
+
+    saveHashMemos()
+
+    if (settings.report) {
+      try {
+        saveReport(path.resolve(playbook.dir, settings.report), reportEntries, logger)
+      } catch (error) {
+        logger.warn(`Failed to save cache report: ${error.message}`)
       }
     }
 
     if (dryRun) {
+      await closeCacheStores()
       logger.info('DRY RUN complete - exiting')
       process.exit(0)
     }
@@ -409,7 +546,27 @@ module.exports.register = function () {
   this.on('beforePublish', async ({ playbook }) => {
     logger.info(`Updating cache for ${cacheEntries.length} entries`)
 
-    const cacheDir = DEFAULT_CACHE_DIR
+    // One key resolver per component worktree, so dependency keys are computed once
+    const keyResolvers = new Map()
+    const getKeyResolver = (entry, worktree) => {
+      const resolverId = `${entry.componentName}\0${worktree}`
+      if (!keyResolvers.has(resolverId)) {
+        const resolver = createEntryKeyResolver(
+          worktree,
+          entry.entriesMap,
+          {
+            ...settings,
+            ...resolveWorktreeRepo(worktree, entry.origin),
+            hashMemo: getHashMemo(playbook, worktree),
+            playbookDir: playbook.dir,
+          },
+          logger,
+          entry.componentName
+        )
+        keyResolvers.set(resolverId, resolver)
+      }
+      return keyResolvers.get(resolverId)
+    }
 
     for (const entry of cacheEntries) {
       try {
@@ -435,59 +592,286 @@ module.exports.register = function () {
         }
 
         // Compute hashes if not done yet
-        let sourceHashes = entry.sourceHashes
-        let contentHash = entry.contentHash
+        let { sourceHashes, keyInputs, contentHash } = entry
 
         if (!sourceHashes) {
           // Resolve sources (including dynamic sources from sourceCommands)
           // Note: Submodules are already initialized during contentAggregated
-          const resolvedSources = await resolveSources(
-            worktree,
-            entry.sources,
-            entry.sourceCommands,
-            logger,
-            entry.componentName,
-            entry.key
-          )
-
-          sourceHashes = computeHashes(worktree, resolvedSources, logger, entry.componentName, entry.key)
-          if (!sourceHashes) {
+          const entryKey = await getKeyResolver(entry, worktree)(entry.key)
+          if (!entryKey) {
             logger.warn(`Source files still not found for ${entry.componentName}/${entry.key}`)
             continue
           }
-          contentHash = computeContentHash(sourceHashes)
+          sourceHashes = entryKey.sourceHashes
+          keyInputs = entryKey.keyInputs
+          contentHash = entryKey.contentHash
         }
 
-        // Create pointer file
-        const pointerDir = path.join(entry.componentHashDir, entry.key)
-        fs.mkdirSync(pointerDir, { recursive: true })
+        // Copy outputs to content-addressed storage before publishing the pointer that references them
+        const sourceOutputPath = path.join(worktree, entry.outputDir)
+
+        if (fs.existsSync(sourceOutputPath)) {
+          await entry.store.storeOutputs(contentHash, entry.outputDir, sourceOutputPath)
+          logger.info(`Cached outputs for ${entry.componentName}/${entry.key} → ${contentHash.substring(0, 12)}...`)
+        } else {
+          logger.warn(`Output directory not found: ${sourceOutputPath}`)
+        }
 
         const pointer = {
+          keyVersion: KEY_VERSION,
+          hashAlgorithm: settings.hashAlgorithm,
           outputDir: contentHash,
           scanDir: entry.outputDir,
           sources: sourceHashes,
+          inputs: keyInputs,
           timestamp: new Date().toISOString(),
         }
 
-        const pointerPath = path.join(pointerDir, `${contentHash}.json`)
-        fs.writeFileSync(pointerPath, JSON.stringify(pointer, null, 2), 'utf8')
-        logger.debug(`Created pointer: ${pointerPath}`)
-
-        // Copy outputs to content-addressed directory
-        const sourceOutputPath = path.join(worktree, entry.outputDir)
-        const cachedOutputPath = path.join(playbook.dir, cacheDir, 'outputs', contentHash, entry.outputDir)
-
-        if (fs.existsSync(sourceOutputPath)) {
-          copyDirectory(sourceOutputPath, cachedOutputPath, logger)
-          logger.info(`Cached outputs for ${entry.componentName}/${entry.key} → ${contentHash.substring(0, 12)}...`)
-        } else {
-          logger.warn(`Output directory not found: ${sourceOutputPath}`)
-        }
+        await entry.store.putPointer(entry.componentName, entry.key, contentHash, pointer)
       } catch (error) {
         logger.error(`Failed to update cache for ${entry.componentName}/${entry.key}: ${error.message}`)
       }
     }
+
+    saveHashMemos()
+  })
+
+  /**
+   * After publishing: Let the cache stores finish pending work (e.g., background uploads)
+   */
+  this.once('sitePublished', closeCacheStores)
+}
+
+/**
+ * Create a function that computes the cache keys of the entries of a component
+ * The key of an entry includes the final content hash of each entry it depends on, so any change that
+ * invalidates a dependency (sources, command, environment, tool versions, ...) also invalidates its dependents.
+ * Keys are memoized, so each dependency is resolved and hashed once.
+ *
+ * @param {string} worktree - Path to the worktree
+ * @param {Map} entriesMap - Map of key -> entry config (see buildEntriesMap)
+ * @param {object} settings - Playbook-level settings and hashMemo of the worktree (see computeEntryKey)
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @returns {Function} Async function mapping an entry key to the result of computeEntryKey
+ */
+function createEntryKeyResolver (worktree, entriesMap, settings, logger, componentName) {
+  const entryKeys = new Map()
+
+  const resolveEntryKey = (key, chain = []) => {
+    if (!entryKeys.has(key)) entryKeys.set(key, computeChainedEntryKey(key, [...chain, key]))
+    return entryKeys.get(key)
+  }
+
+  const computeChainedEntryKey = async (key, chain) => {
+    const { run, sources, sourceCommands, dependsOn } = entriesMap.get(key)
+
+    const dependencyHashes = {}
+    if (dependsOn.length > 0) {
+      logger.debug(`Resolving dependencies for ${componentName}/${key}: ${dependsOn.join(', ')}`)
+    }
+
+    for (const depKey of dependsOn) {
+      if (chain.includes(depKey)) {
+        logger.warn(`Circular dependency detected: ${key} -> ${depKey}`)
+        continue
+      }
+      if (!entriesMap.has(depKey)) {
+        logger.warn(`Dependency not found: ${depKey} (required by ${key})`)
+        continue
+      }
+
+      const depEntryKey = await resolveEntryKey(depKey, chain)
+      if (!depEntryKey) {
+        logger.debug(`Dependency ${componentName}/${depKey} has no cache key - cannot key ${componentName}/${key}`)
+        return null
+      }
+      dependencyHashes[depKey] = depEntryKey.contentHash
+      logger.debug(`  Chained dependency ${depKey} (${depEntryKey.contentHash.substring(0, 12)}...)`)
+    }
+
+    const entry = { key, run, sources, sourceCommands, dependencyHashes }
+    return computeEntryKey(worktree, entry, settings, logger, componentName)
+  }
+
+  return (key) => resolveEntryKey(key)
+}
+
+/**
+ * Resolve the sources of an entry and compute its cache key
+ * The key covers the source files and the run configuration, environment and tool versions that produce the outputs.
+ *
+ * @param {string} worktree - Path to the worktree
+ * @param {object} entry - Entry with key, run, sources, sourceCommands and the dependencyHashes of its dependencies
+ * @param {object} settings - Playbook-level settings (e.g., cacheVersion, gitObjectIds), hashMemo, gitdir and gitRef
+ *   of the worktree (see resolveWorktreeRepo) and playbookDir
+ * @param {object} logger - Logger instance
+ * @param {string} componentName - Component name for logging
+ * @returns {Promise<object|null>} Object with sourceHashes, keyInputs and contentHash, or null if a source is missing
+ */
+async function computeEntryKey (
+  worktree,
+  { key, run, sources, sourceCommands, dependencyHashes },
+  settings,
+  logger,
+  componentName
+) {
+  // Optional sources are resolved along with the other sources but may be absent
+  const optionalSources = run.optionalsources || run.optionalSources || []
+  const resolvedSources = await resolveSources(
+    worktree,
+    [...sources, ...optionalSources],
+    sourceCommands,
+    logger,
+    componentName,
+    key,
+    { gitignore: Boolean(run.respectgitignore || run.respectGitignore) }
+  )
+  const optionalMatchers = optionalSources.map(createSourceMatcher)
+  const isOptional = (source) => optionalMatchers.some((matches) => matches(source))
+
+  let missing = run.missingsources || run.missingSources || 'miss'
+  if (!MISSING_SOURCE_POLICIES.includes(missing)) {
+    logger.warn(`Invalid run.missing-sources "${missing}" for ${componentName}/${key} - using "miss"`)
+    missing = 'miss'
+  }
+
+  const normalizeRules = parseNormalizeRules(run.sources, logger)
+  const normalize = createNormalizeResolver(normalizeRules)
+  const hasherRules = parseHasherRules(run.sources, settings.hashers)
+  const hasher = createHasherResolver(hasherRules, settings.hashers)
+
+  const sourceHashes = settings.gitObjectIds
+    ? await computeGitObjectHashes(worktree, resolvedSources, logger, componentName, key, {
+      gitdir: settings.gitdir,
+      concurrency: settings.hashConcurrency,
+      normalize,
+      hasher,
+      isOptional,
+      missing,
+    })
+    : await computeHashes(worktree, resolvedSources, logger, componentName, key, {
+      memo: settings.hashMemo,
+      verify: settings.verifySources,
+      concurrency: settings.hashConcurrency,
+      normalize,
+      hasher,
+      algorithm: settings.hashAlgorithm,
+      isOptional,
+      missing,
+    })
+  if (sourceHashes === null) return null
+
+  // Submodules are identified by the commit recorded in the superproject rather than by their files
+  let submodules
+  const submodulePaths = run.sourcesubmodules || run.sourceSubmodules
+  if (submodulePaths && submodulePaths.length > 0) {
+    const commits = await readSubmoduleCommits(worktree, submodulePaths, logger, {
+      gitdir: settings.gitdir,
+      ref: settings.gitRef,
+    })
+    const unresolved = submodulePaths.filter((submodulePath) => !commits.has(submodulePath))
+    if (unresolved.length > 0) {
+      if (missing === 'error') throw new Error(`Missing submodule(s): ${unresolved.join(', ')}`)
+      if (missing === 'miss') {
+        logger.debug(`  ✗ Submodule commit not found: ${unresolved[0]}`)
+        return null
+      }
+      logger.debug(`  Ignoring ${unresolved.length} missing submodule(s): ${unresolved.join(', ')}`)
+    }
+    submodules = Object.fromEntries(commits)
+  }
+
+  // Sources outside the worktree (e.g., shared files in the playbook repository) are recorded separately
+  let externalSources
+  const externalPatterns = run.externalsources || run.externalSources
+  if (externalPatterns && externalPatterns.length > 0) {
+    const externalFiles = await resolveExternalSources(settings.playbookDir, externalPatterns, logger)
+    externalSources = await computeHashes(settings.playbookDir, externalFiles, logger, componentName, key, {
+      concurrency: settings.hashConcurrency,
+      algorithm: settings.hashAlgorithm,
+      missing,
+    })
+    if (externalSources === null) return null
+  }
+
+  const toolVersions = await resolveToolVersions(
+    worktree,
+    run.toolversions || run.toolVersions,
+    logger,
+    componentName,
+    key
+  )
+  const keyCommands = await resolveKeyCommands(worktree, run.keycommands || run.keyCommands, logger, componentName, key)
+
+  // Opt-in: cover the file modes and symlink targets of the sources, not just their contents
+  const fileMetadata =
+    run.hashmetadata || run.hashMetadata
+      ? await computeFileMetadata(
+        worktree,
+        Object.keys(sourceHashes).filter((source) => sourceHashes[source] !== ABSENT_SOURCE_HASH)
+      )
+      : undefined
+
+  const keyInputs = buildKeyInputs(run, {
+    toolVersions,
+    keyCommands,
+    cacheVersion: settings.cacheVersion,
+    sourceIdentity: settings.gitObjectIds ? 'git-blob' : undefined,
+    normalize: normalizeRules,
+    hashers: hasherRules,
+    fileMetadata,
+    dependencies: dependencyHashes,
+    externalSources,
+    submodules,
   })
+  const contentHash = computeContentHash(sourceHashes, keyInputs, settings.hashAlgorithm)
+
+  return { sourceHashes, keyInputs, contentHash }
+}
+
+/**
+ * Log the changes that explain a cache miss
+ *
+ * @param {object} changes - Changes returned by diffPointer
+ * @param {object} logger - Logger instance
+ */
+function logMissChanges ({ previous, sources, inputs }, logger) {
+  const since = `${String(previous.contentHash).substring(0, 12)}... (${previous.timestamp})`
+  if (sources.added.length + sources.removed.length + sources.changed.length + inputs.length === 0) {
+    logger.info(`  No changed sources or inputs since ${since}`)
+    return
+  }
+
+  logger.info(`  Changes since ${since}:`)
+  for (const [label, paths] of Object.entries(sources)) {
+    for (const source of paths.slice(0, MAX_LOGGED_CHANGES)) logger.info(`    ${label}: ${source}`)
+    if (paths.length > MAX_LOGGED_CHANGES) {
+      logger.info(`    ${label}: ... and ${paths.length - MAX_LOGGED_CHANGES} more`)
+    }
+  }
+  if (inputs.length > 0) logger.info(`    changed inputs: ${inputs.join(', ')}`)
+}
+
+/**
+ * Select the submodules whose checkout can wait until an entry has to run
+ * A submodule listed in run.source-submodules is only deferred if no entry may read sources from it through
+ * run.sources or run.optional-sources, since those are hashed before it is checked out. The paths printed by
+ * run.source-commands are not known up front, so no submodule is deferred if an entry has source commands.
+ *
+ * @param {Map} entriesMap - Map of key -> entry config (see buildEntriesMap)
+ * @returns {string[]} Paths of the submodules to leave out of the checkout
+ */
+function selectDeferredSubmodules (entriesMap) {
+  const entries = [...entriesMap.values()]
+  if (entries.some(({ sourceCommands }) => sourceCommands.length > 0)) return []
+  const patterns = entries
+    .flatMap(({ run, sources }) => [...sources, ...(run.optionalsources || run.optionalSources || [])])
+    .filter((pattern) => !isNegatedPattern(pattern))
+  const submodulePaths = new Set(entries.flatMap(({ run }) => run.sourcesubmodules || run.sourceSubmodules || []))
+  return [...submodulePaths].filter(
+    (submodulePath) => !patterns.some((pattern) => mayReadFromDirectory(pattern, submodulePath))
+  )
 }
 
 /**
@@ -495,12 +879,15 @@ module.exports.register = function () {
  *
  * @param {string} worktree - Path to the worktree
  * @param {object} logger - Logger instance
+ * @param {string[]} [pathspecs=[]] - Optional pathspecs limiting the submodules to initialize
  */
-async function initializeSubmodules (worktree, logger) {
-  logger.debug('Initializing submodules in worktree')
+async function initializeSubmodules (worktree, logger, pathspecs = []) {
+  logger.debug(`Initializing submodules in worktree${pathspecs.length > 0 ? `: ${pathspecs.join(' ')}` : ''}`)
   const { spawn } = require('child_process')
   await new Promise((resolve) => {
-    const proc = spawn('git', ['submodule', 'update', '--init', '--recursive'], { cwd: worktree })
+    const args = ['submodule', 'update', '--init', '--recursive']
+    if (pathspecs.length > 0) args.push('--', ...pathspecs)
+    const proc = spawn('git', args, { cwd: worktree })
     let stderr = ''
     proc.stderr.on('data', (data) => {
       stderr += data
@@ -521,6 +908,25 @@ async function initializeSubmodules (worktree, logger) {
   })
 }
 
+/**
+ * Locate the git directory of a worktree and the ref checked out in it
+ * In remote builds, the worktree is checked out from the git directory of the origin, which is kept outside of it,
+ * without updating HEAD (see updateWorktree), so the checked-out commit is identified by the ref of the origin
+ * (or its commit when it has no ref name); in local development, the git directory is the .git directory of the
+ * worktree and HEAD is checked out.
+ *
+ * @param {string} worktree - Path to the worktree
+ * @param {object} [origin] - Origin object with git info
+ * @returns {object} Object with the gitdir of the worktree and the gitRef checked out in it
+ */
+function resolveWorktreeRepo (worktree, origin) {
+  if (!origin?.gitdir || isLocalDevelopment(worktree, origin.gitdir)) {
+    return { gitdir: path.join(worktree, '.git'), gitRef: 'HEAD' }
+  }
+  const gitRef = origin.refname ? buildRef(origin.reftype || 'branch', origin.refname) : origin.refhash || 'HEAD'
+  return { gitdir: origin.gitdir, gitRef }
+}
+
 /**
  * Update worktree to current commit for remote builds
  *
@@ -0,0 +1,348 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { Readable, Writable } = require('stream')
+const { pipeline } = require('stream/promises')
+const { createDigestStream } = require('./hash')
+
+const BLOCK_SIZE = 512
+
+/**
+ * Compression formats of archives, by name
+ * Brotli archives are smaller, especially for HTML, but slower to create.
+ */
+const ARCHIVE_COMPRESSIONS = {
+  gzip: {
+    extension: '.tar.gz',
+    compress: () => zlib.createGzip(),
+    decompress: () => zlib.createGunzip(),
+  },
+  brotli: {
+    extension: '.tar.br',
+    compress: () =>
+      zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT } }),
+    decompress: () => zlib.createBrotliDecompress(),
+  },
+}
+
+/**
+ * Look up a compression format by name
+ *
+ * @param {string} [compression='gzip'] - Name of the compression format
+ * @returns {object} Compression format (see ARCHIVE_COMPRESSIONS)
+ * @throws {Error} If the compression format is not supported
+ */
+function getArchiveCompression (compression = 'gzip') {
+  const format = ARCHIVE_COMPRESSIONS[compression]
+  if (!format) {
+    const supported = Object.keys(ARCHIVE_COMPRESSIONS).join(', ')
+    throw new Error(`Unsupported archive compression "${compression}" (supported: ${supported})`)
+  }
+  return format
+}
+
+/**
+ * List the files below a directory, as sorted POSIX paths relative to it
+ *
+ * @param {string} dir - Directory to list
+ * @param {string} [prefix=''] - Relative path of dir (used when recursing)
+ * @returns {string[]} Relative paths of the regular files below dir
+ */
+function listFiles (dir, prefix = '') {
+  const files = []
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : 1))
+  for (const entry of entries) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path.join(dir, entry.name), relativePath))
+    } else if (entry.isFile()) {
+      files.push(relativePath)
+    }
+  }
+  return files
+}
+
+/**
+ * Write a tar header field as a NUL-terminated octal number
+ */
+function writeOctal (header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii')
+}
+
+/**
+ * Create a ustar header block
+ *
+ * @param {string} name - Entry name (at most 100 bytes)
+ * @param {number} size - Size of the entry data in bytes
+ * @param {string} type - Type flag ('0' for files, 'x' for extended headers)
+ * @param {number} [mode=0o644] - File mode
+ * @returns {Buffer} Header block
+ */
+function createHeader (name, size, type, mode = 0o644) {
+  const header = Buffer.alloc(BLOCK_SIZE)
+  header.write(name, 0, 100, 'utf8')
+  writeOctal(header, mode, 100, 8)
+  writeOctal(header, 0, 108, 8) // uid
+  writeOctal(header, 0, 116, 8) // gid
+  writeOctal(header, size, 124, 12)
+  writeOctal(header, 0, 136, 12) // mtime, fixed so the same files always produce the same archive
+  header.write(type, 156, 1, 'ascii')
+  header.write('ustar\0', 257, 6, 'ascii')
+  header.write('00', 263, 2, 'ascii')
+
+  // The checksum is computed with the checksum field filled with spaces
+  header.fill(' ', 148, 156)
+  const checksum = header.reduce((sum, byte) => sum + byte, 0)
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii')
+  return header
+}
+
+/**
+ * Compute the number of bytes needed to pad data of the given size to a whole number of tar blocks
+ */
+function paddingSize (size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE
+}
+
+/**
+ * Generate the blocks of an uncompressed tar stream of the files below a directory
+ * Entries are sorted and carry no timestamps or owners, so the same files always produce the same stream.
+ * Paths longer than the ustar name field are recorded in a PAX extended header.
+ * File contents are streamed, so large files are never held in memory.
+ *
+ * @param {string} dir - Directory to pack
+ * @param {object[]} [files] - Array that receives the { path, size, mode } of each packed file
+ * @returns {AsyncGenerator<Buffer>} Blocks of the tar stream
+ */
+async function * generateTar (dir, files = []) {
+  for (const relativePath of listFiles(dir)) {
+    const filePath = path.join(dir, relativePath)
+    const stat = fs.statSync(filePath)
+    const mode = stat.mode & 0o111 ? 0o755 : 0o644
+
+    let name = relativePath
+    if (Buffer.byteLength(relativePath) > 100) {
+      // PAX record: "<length> path=<value>\n", where the length includes itself
+      const record = ` path=${relativePath}\n`
+      let length = Buffer.byteLength(record)
+      length += String(length + String(length).length).length
+      const pax = Buffer.from(`${length}${record}`, 'utf8')
+      yield createHeader('PaxHeader', pax.length, 'x')
+      yield Buffer.concat([pax, Buffer.alloc(paddingSize(pax.length))])
+      name = relativePath.slice(0, 100)
+    }
+
+    yield createHeader(name, stat.size, '0', mode)
+    let size = 0
+    for await (const chunk of fs.createReadStream(filePath)) {
+      size += chunk.length
+      yield chunk
+    }
+    if (size !== stat.size) throw new Error(`File ${filePath} changed while it was being archived`)
+    if (paddingSize(size)) yield Buffer.alloc(paddingSize(size))
+    files.push({ path: relativePath, size, mode: mode.toString(8) })
+  }
+
+  // An archive ends with two empty blocks
+  yield Buffer.alloc(BLOCK_SIZE * 2)
+}
+
+/**
+ * Pack the files below a directory into a compressed tar archive held in memory
+ * The same files always produce the same archive (see generateTar).
+ *
+ * @param {string} dir - Directory to pack
+ * @param {object} [options] - Archive options
+ * @param {string} [options.compression='gzip'] - Compression format ('gzip' or 'brotli')
+ * @returns {Promise<Buffer>} Compressed archive
+ */
+async function packDirectory (dir, { compression } = {}) {
+  const chunks = []
+  const collect = new Writable({
+    write (chunk, _, callback) {
+      chunks.push(chunk)
+      callback()
+    },
+  })
+  await pipeline(Readable.from(generateTar(dir)), getArchiveCompression(compression).compress(), collect)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Stream the files below a directory into a compressed tar archive file
+ * The archive is written to a temporary file that replaces the archive file once complete,
+ * so an interrupted build never leaves a truncated archive behind.
+ *
+ * @param {string} dir - Directory to pack
+ * @param {string} archivePath - Path of the archive file
+ * @param {object} [options] - Archive options
+ * @param {string} [options.compression='gzip'] - Compression format ('gzip' or 'brotli')
+ * @param {string} [options.digestAlgorithm] - Digest algorithm with which to compute the digest of the archive
+ *   while it is written (e.g., sha256)
+ * @returns {Promise<object>} Manifest of the archive: compression, size (bytes), files ({ path, size, mode })
+ *   and, if a digest algorithm is given, the digest (hex string)
+ */
+async function writeArchive (dir, archivePath, { compression = 'gzip', digestAlgorithm } = {}) {
+  const format = getArchiveCompression(compression)
+  const files = []
+  const tempPath = `${archivePath}.${process.pid}.tmp`
+  fs.mkdirSync(path.dirname(archivePath), { recursive: true })
+  const digest = digestAlgorithm && createDigestStream(digestAlgorithm)
+  const output = fs.createWriteStream(tempPath)
+  try {
+    await pipeline(Readable.from(generateTar(dir, files)), format.compress(), ...(digest ? [digest] : []), output)
+    fs.renameSync(tempPath, archivePath)
+  } catch (err) {
+    // The file is opened asynchronously, so it may only appear once the stream is closed
+    if (!output.closed) await new Promise((resolve) => output.once('close', resolve))
+    fs.rmSync(tempPath, { force: true })
+    throw err
+  }
+  const manifest = { compression, size: fs.statSync(archivePath).size, files }
+  if (digest) manifest.digest = digest.digest()
+  return manifest
+}
+
+/**
+ * Read a NUL-terminated string from a tar header field
+ */
+function readString (header, offset, length) {
+  const field = header.subarray(offset, offset + length)
+  const end = field.indexOf(0)
+  return field.subarray(0, end === -1 ? length : end).toString('utf8')
+}
+
+/**
+ * Extract an uncompressed tar stream into a directory, replacing its contents
+ * Entries are parsed as chunks arrive and file contents are written as they are read,
+ * so the archive is never held in memory. The stream is read to its end, even past the end of the archive,
+ * so a digest of the stream covers all of its data.
+ *
+ * @param {AsyncIterable<Buffer>} chunks - Chunks of the tar stream
+ * @param {string} destination - Directory to extract into
+ * @returns {Promise<number>} Number of files extracted
+ * @throws {Error} If the stream is malformed or an entry would be written outside the destination
+ */
+async function extractTar (chunks, destination) {
+  const root = path.resolve(destination)
+  if (fs.existsSync(root)) fs.rmSync(root, { recursive: true, force: true })
+  fs.mkdirSync(root, { recursive: true })
+
+  let fileCount = 0
+  let paxPath
+  let pending = Buffer.alloc(0)
+  let ended = false
+  // Entry whose data is being read: { type, remaining, padding, fd, data }
+  let entry
+
+  const startEntry = (header) => {
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8)
+    const type = readString(header, 156, 1) || '0'
+    entry = { type, remaining: size, padding: paddingSize(size), data: [] }
+    if (type === 'x') return
+
+    const prefix = readString(header, 345, 155)
+    const name = paxPath || (prefix ? `${prefix}/` : '') + readString(header, 0, 100)
+    paxPath = undefined
+    if (type !== '0') return
+
+    const filePath = path.resolve(root, name)
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Archive entry ${name} resolves outside ${destination}`)
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    entry.fd = fs.openSync(filePath, 'w', parseInt(readString(header, 100, 8).trim() || '644', 8))
+  }
+
+  const finishEntry = () => {
+    if (entry.type === 'x') {
+      paxPath = Buffer.concat(entry.data)
+        .toString('utf8')
+        .match(/^\d+ path=(.*)$/m)?.[1]
+    } else if (entry.fd !== undefined) {
+      fs.closeSync(entry.fd)
+      fileCount++
+    }
+    entry = undefined
+  }
+
+  try {
+    for await (const chunk of chunks) {
+      if (ended) continue
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk
+      while (true) {
+        if (entry) {
+          const data = pending.subarray(0, entry.remaining)
+          if (entry.fd !== undefined) fs.writeSync(entry.fd, data)
+          else if (entry.type === 'x') entry.data.push(data)
+          entry.remaining -= data.length
+          const padding = Math.min(entry.padding, pending.length - data.length)
+          entry.padding -= padding
+          pending = pending.subarray(data.length + padding)
+          if (entry.remaining > 0 || entry.padding > 0) break
+          finishEntry()
+        }
+        if (pending.length < BLOCK_SIZE) break
+        const header = pending.subarray(0, BLOCK_SIZE)
+        if (header.every((byte) => byte === 0)) {
+          ended = true
+          break
+        }
+        pending = pending.subarray(BLOCK_SIZE)
+        startEntry(header)
+      }
+    }
+    if (entry) throw new Error('Unexpected end of archive')
+    return fileCount
+  } finally {
+    if (entry?.fd !== undefined) fs.closeSync(entry.fd)
+  }
+}
+
+/**
+ * Unpack a compressed tar archive into a directory, replacing its contents
+ * An archive given as a stream (e.g., the body of a download) is extracted as it is read.
+ *
+ * @param {Buffer|Readable} archive - Compressed archive, held in memory (see packDirectory) or as a stream
+ * @param {string} destination - Directory to unpack into
+ * @param {object} [options] - Archive options
+ * @param {string} [options.compression='gzip'] - Compression format ('gzip' or 'brotli')
+ * @returns {Promise<number>} Number of files unpacked
+ * @throws {Error} If the archive is malformed or an entry would be written outside the destination
+ */
+async function unpackArchive (archive, destination, { compression } = {}) {
+  const decompress = getArchiveCompression(compression).decompress()
+  const source = Buffer.isBuffer(archive) ? Readable.from([archive]) : archive
+  source.on('error', (err) => decompress.destroy(err))
+  try {
+    return await extractTar(source.pipe(decompress), destination)
+  } finally {
+    // Release the stream (e.g., a network connection) if extraction stopped before its end
+    source.destroy()
+  }
+}
+
+/**
+ * Stream-extract a compressed tar archive file into a directory, replacing its contents
+ *
+ * @param {string} archivePath - Path of the archive file (see writeArchive)
+ * @param {string} destination - Directory to extract into
+ * @param {object} [options] - Archive options
+ * @param {string} [options.compression='gzip'] - Compression format ('gzip' or 'brotli')
+ * @returns {Promise<number>} Number of files extracted
+ * @throws {Error} If the archive is malformed or an entry would be written outside the destination
+ */
+async function extractArchive (archivePath, destination, { compression } = {}) {
+  return unpackArchive(fs.createReadStream(archivePath), destination, { compression })
+}
+
+module.exports = {
+  ARCHIVE_COMPRESSIONS,
+  getArchiveCompression,
+  packDirectory,
+  unpackArchive,
+  writeArchive,
+  extractArchive,
+}
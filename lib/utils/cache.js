@@ -3,6 +3,7 @@
 const fs = require('fs')
 const path = require('path')
 const { findFilesMatchingPattern } = require('./fs')
+const { KEY_VERSION, DEFAULT_HASH_ALGORITHM, stableStringify } = require('./hash')
 
 /**
  * Load pointer file from disk
@@ -26,6 +27,110 @@ function loadPointerFile (pointerPath, logger) {
   }
 }
 
+/**
+ * Check whether a pointer was created with the current cache key scheme
+ * Pointers without a recorded keyVersion predate versioning and are treated as version 1.
+ *
+ * @param {object} pointer - Parsed pointer object
+ * @param {object} [logger] - Optional logger instance
+ * @returns {boolean} True if the pointer can be trusted for the current key scheme
+ */
+function isPointerCurrent (pointer, logger) {
+  const keyVersion = pointer.keyVersion || 1
+  if (keyVersion === KEY_VERSION) return true
+  if (logger) logger.debug(`Ignoring pointer from key scheme v${keyVersion} (current: v${KEY_VERSION})`)
+  return false
+}
+
+/**
+ * Check whether a pointer was created with the given hash algorithm
+ * Pointers without a recorded hashAlgorithm were hashed with SHA-256. Digests made with different
+ * algorithms cannot be compared, so such pointers must not be trusted.
+ *
+ * @param {object} pointer - Parsed pointer object
+ * @param {string} algorithm - Hash algorithm of the current cache
+ * @param {object} [logger] - Optional logger instance
+ * @returns {boolean} True if the pointer was hashed with the given algorithm
+ */
+function usesHashAlgorithm (pointer, algorithm, logger) {
+  const hashAlgorithm = pointer.hashAlgorithm || DEFAULT_HASH_ALGORITHM
+  if (hashAlgorithm === algorithm) return true
+  if (logger) logger.debug(`Ignoring pointer hashed with ${hashAlgorithm} (current: ${algorithm})`)
+  return false
+}
+
+/**
+ * Find the most recently written pointer file of an entry
+ *
+ * @param {string} pointerDir - Directory holding the pointer files of the entry
+ * @param {object} [logger] - Optional logger instance
+ * @returns {object|null} Parsed pointer object or null if the entry has no readable pointer
+ */
+function findLatestPointer (pointerDir, logger) {
+  if (!fs.existsSync(pointerDir)) return null
+
+  const pointerFiles = fs
+    .readdirSync(pointerDir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const pointerPath = path.join(pointerDir, name)
+      return { pointerPath, mtimeMs: fs.statSync(pointerPath).mtimeMs }
+    })
+    .sort((a, b) => b.mtimeMs - a.mtimeMs)
+
+  return pointerFiles.length > 0 ? loadPointerFile(pointerFiles[0].pointerPath, logger) : null
+}
+
+/**
+ * Compare the key of an entry with a previous pointer to explain a cache miss
+ * Inputs that are objects (e.g., run, hashEnv) are compared property by property, so a change
+ * to the command is reported as `run.command`.
+ *
+ * @param {object} pointer - Previous pointer of the entry (see findLatestPointer)
+ * @param {object} sourceHashes - Object mapping source paths to their hashes
+ * @param {object} keyInputs - Non-file inputs of the key (see buildKeyInputs)
+ * @returns {object} Object with the previous contentHash and timestamp, the `added`, `removed` and `changed`
+ *   source paths and the names of the changed `inputs`
+ */
+function diffPointer (pointer, sourceHashes, keyInputs) {
+  const previousSources = pointer.sources || {}
+  const sources = {
+    added: Object.keys(sourceHashes).filter((source) => !(source in previousSources)),
+    removed: Object.keys(previousSources).filter((source) => !(source in sourceHashes)),
+    changed: Object.keys(sourceHashes).filter(
+      (source) => source in previousSources && previousSources[source] !== sourceHashes[source]
+    ),
+  }
+
+  const previousInputs = pointer.inputs || {}
+  const inputs = []
+  for (const name of [...new Set([...Object.keys(previousInputs), ...Object.keys(keyInputs)])].sort()) {
+    const previous = previousInputs[name]
+    const current = keyInputs[name]
+    if (isPlainObject(previous) && isPlainObject(current)) {
+      for (const property of [...new Set([...Object.keys(previous), ...Object.keys(current)])].sort()) {
+        if (stableStringify(previous[property]) !== stableStringify(current[property])) {
+          inputs.push(`${name}.${property}`)
+        }
+      }
+    } else if (stableStringify(previous) !== stableStringify(current)) {
+      inputs.push(name)
+    }
+  }
+
+  return { previous: { contentHash: pointer.outputDir, timestamp: pointer.timestamp }, sources, inputs }
+}
+
+/**
+ * Check whether a value is an object other than an array
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a non-array object
+ */
+function isPlainObject (value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
 /**
  * Save pointer file to disk
  *
@@ -40,6 +145,56 @@ function savePointerFile (pointerPath, pointer, logger) {
   if (logger) logger.debug(`Created pointer: ${pointerPath}`)
 }
 
+/**
+ * Save the results of the cache check to a report file
+ *
+ * @param {string} reportPath - Path to save the report file
+ * @param {object[]} entries - Result of each entry (component, key, result, reason, contentHash and changes)
+ * @param {object} [logger] - Optional logger instance
+ */
+function saveReport (reportPath, entries, logger) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+  fs.writeFileSync(reportPath, JSON.stringify({ timestamp: new Date().toISOString(), entries }, null, 2), 'utf8')
+  if (logger) logger.debug(`Saved cache report: ${reportPath}`)
+}
+
+/**
+ * Load the stat-based hash memo of a worktree
+ * A missing or unreadable memo file yields an empty memo.
+ *
+ * @param {string} memoPath - Path to the memo JSON file
+ * @param {object} [logger] - Optional logger instance
+ * @returns {object} Memo object with path, files (source path -> { size, mtimeMs, ino, hash }) and dirty flag
+ */
+function loadHashMemo (memoPath, logger) {
+  const memo = { path: memoPath, files: {}, dirty: false }
+  if (!fs.existsSync(memoPath)) return memo
+
+  try {
+    const { files } = JSON.parse(fs.readFileSync(memoPath, 'utf8'))
+    if (files && typeof files === 'object') memo.files = files
+    if (logger) logger.debug(`Loaded hash memo with ${Object.keys(memo.files).length} file(s): ${memoPath}`)
+  } catch (error) {
+    if (logger) logger.warn(`Failed to read hash memo ${memoPath}: ${error.message}`)
+  }
+
+  return memo
+}
+
+/**
+ * Save the hash memo of a worktree to disk if it has changed
+ *
+ * @param {object} memo - Memo object returned by loadHashMemo
+ * @param {object} [logger] - Optional logger instance
+ */
+function saveHashMemo (memo, logger) {
+  if (!memo.dirty) return
+  fs.mkdirSync(path.dirname(memo.path), { recursive: true })
+  fs.writeFileSync(memo.path, JSON.stringify({ files: memo.files }), 'utf8')
+  memo.dirty = false
+  if (logger) logger.debug(`Saved hash memo: ${memo.path}`)
+}
+
 /**
  * Copy files matching glob patterns from cache to worktree
  *
@@ -80,8 +235,8 @@ function restoreFilesToWorktree (cacheOutputDir, worktreeOutputDir, patterns, lo
       fs.mkdirSync(destDir, { recursive: true })
     }
 
-    // Copy file
-    fs.copyFileSync(sourcePath, destPath)
+    // Copy file (outputs fetched into the worktree are already in place)
+    if (sourcePath !== destPath) fs.copyFileSync(sourcePath, destPath)
     if (logger) logger.debug(`  Restored: ${relativePath}`)
   }
 
@@ -94,6 +249,13 @@ function restoreFilesToWorktree (cacheOutputDir, worktreeOutputDir, patterns, lo
 
 module.exports = {
   loadPointerFile,
+  isPointerCurrent,
+  usesHashAlgorithm,
+  findLatestPointer,
+  diffPointer,
   savePointerFile,
+  saveReport,
+  loadHashMemo,
+  saveHashMemo,
   restoreFilesToWorktree,
 }
@@ -111,9 +111,25 @@ function findFilesMatchingPattern (dir, pattern) {
   })
 }
 
+/**
+ * Resolve the path of a module referenced in the playbook
+ * Paths starting with `.` and absolute paths are resolved from the base directory; other names are
+ * resolved as packages installed for the playbook.
+ *
+ * @param {string} request - Module path or package name
+ * @param {string} baseDir - Directory to resolve the module from (playbook.dir)
+ * @returns {string} Absolute path of the module
+ */
+function resolveModulePath (request, baseDir) {
+  return request.startsWith('.') || path.isAbsolute(request)
+    ? path.resolve(baseDir, request)
+    : require.resolve(request, { paths: [baseDir] })
+}
+
 module.exports = {
   checkDirectoryHasFiles,
   checkOutputsExist,
   copyDirectory,
   findFilesMatchingPattern,
+  resolveModulePath,
 }
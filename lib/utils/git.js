@@ -1,5 +1,6 @@
 'use strict'
 
+const fs = require('fs')
 const path = require('path')
 const crypto = require('crypto')
 
@@ -57,9 +58,59 @@ function buildRef (reftype, refname) {
   return `refs/${reftype === 'branch' ? 'head' : reftype}s/${refname}`
 }
 
+/**
+ * Read the commits recorded for submodules (gitlinks) in the tree of the superproject's checked-out commit
+ * The submodules do not need to be checked out. In remote builds, the worktree is checked out from a git
+ * directory outside of it without updating HEAD, so the caller passes that git directory and the ref
+ * (or commit) of the origin.
+ *
+ * @param {string} worktree - Path to the superproject worktree
+ * @param {string[]} submodulePaths - Array of submodule paths relative to the worktree
+ * @param {object} [logger] - Optional logger instance
+ * @param {object} [repo] - Location of the checked-out commit
+ * @param {string} [repo.gitdir=worktree/.git] - Git directory of the superproject
+ * @param {string} [repo.ref='HEAD'] - Ref or commit SHA checked out in the worktree
+ * @returns {Promise<Map<string, string>>} Map of submodule paths to commit SHAs; paths that are not
+ *   submodules of the checked-out commit are omitted
+ */
+async function readSubmoduleCommits (
+  worktree,
+  submodulePaths,
+  logger,
+  { gitdir = path.join(worktree, '.git'), ref = 'HEAD' } = {}
+) {
+  const commits = new Map()
+  const git = require('isomorphic-git')
+  const repo = { fs, dir: worktree, gitdir }
+
+  let head
+  try {
+    head = await git.resolveRef({ ...repo, ref })
+  } catch (err) {
+    if (logger) logger.warn(`Failed to read submodule commits in ${worktree}: ${err.message}`)
+    return commits
+  }
+
+  for (const submodulePath of submodulePaths) {
+    const normalized = path.posix.normalize(submodulePath).replace(/\/+$/, '')
+    const parent = path.posix.dirname(normalized)
+    try {
+      const { tree } = await git.readTree({ ...repo, oid: head, filepath: parent === '.' ? undefined : parent })
+      const entry = tree.find(({ path: name }) => name === path.posix.basename(normalized))
+      if (entry && entry.type === 'commit') commits.set(submodulePath, entry.oid)
+    } catch (err) {
+      // The parent directory does not exist in the HEAD commit
+      if (logger) logger.debug(`  No submodule at ${submodulePath}: ${err.message}`)
+    }
+  }
+
+  return commits
+}
+
 module.exports = {
   posixify,
   generateWorktreeFolderName,
   isLocalDevelopment,
   buildRef,
+  readSubmoduleCommits,
 }
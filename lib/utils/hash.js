@@ -3,84 +3,619 @@
 const fs = require('fs')
 const path = require('path')
 const crypto = require('crypto')
+const { Transform } = require('stream')
+const { normalizeContent } = require('./normalize')
 
 /**
- * Compute SHA-256 hashes for source files
+ * Version of the cache key scheme
+ * Bump whenever the content hash derivation changes so pointers from older schemes are ignored.
+ */
+const KEY_VERSION = 2
+
+/**
+ * Files modified this recently (in milliseconds) are not memoized, since a further change
+ * within the same mtime granularity would leave their stat data unchanged.
+ */
+const RACY_MTIME_WINDOW = 2000
+
+/**
+ * Default number of files hashed concurrently
+ */
+const DEFAULT_HASH_CONCURRENCY = 8
+
+/**
+ * Default digest algorithm for source and content hashes
+ */
+const DEFAULT_HASH_ALGORITHM = 'sha256'
+
+/**
+ * Hash recorded for an optional source that does not exist
+ */
+const ABSENT_SOURCE_HASH = 'absent'
+
+/**
+ * Policies for required sources that are missing
+ * miss: skip caching for the entry, error: fail the entry, ignore: leave the source out of the key
+ */
+const MISSING_SOURCE_POLICIES = ['miss', 'error', 'ignore']
+
+/**
+ * Log a missing source along with the top-level contents of the worktree
  *
  * @param {string} worktree - Path to the worktree directory
+ * @param {string} source - Relative path of the missing source
+ * @param {object} logger - Logger instance
+ */
+function logMissingSource (worktree, source, logger) {
+  logger.debug(`  ✗ Missing: ${source}`)
+  // List what's actually in the worktree
+  try {
+    const worktreeContents = fs.readdirSync(worktree, { withFileTypes: true })
+    const files = worktreeContents.filter((e) => e.isFile()).map((e) => e.name)
+    const dirs = worktreeContents.filter((e) => e.isDirectory()).map((e) => e.name + '/')
+    logger.debug(`  Worktree contains: ${[...dirs, ...files].join(', ') || '(empty)'}`)
+  } catch (err) {
+    logger.debug(`  Failed to list worktree contents: ${err.message}`)
+  }
+}
+
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * Results are returned in the order of the items.
+ *
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Array of results
+ */
+async function mapConcurrent (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++
+      results[idx] = await fn(items[idx], idx)
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, concurrency || 1), items.length)
+  await Promise.all(Array.from({ length: workerCount }, worker))
+  return results
+}
+
+/**
+ * Check that the sources exist, applying the missing-source policy to required sources
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of relative source file paths
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [componentName] - Optional component name for logging
+ * @param {string} [key] - Optional entry key for logging
+ * @param {object} [options] - Optional settings
+ * @param {Function} [options.isOptional] - Function returning true for sources that may be absent
+ * @param {string} [options.missing='miss'] - Policy for missing required sources (miss, error or ignore)
+ * @returns {object|null} Object with the `present` sources and a Set of `absent` optional sources,
+ *   or null if a required source is missing under the miss policy
+ * @throws {Error} If a required source is missing under the error policy
+ */
+function checkSources (worktree, sources, logger, componentName, key, { isOptional, missing = 'miss' } = {}) {
+  const present = []
+  const absent = new Set()
+  const missingSources = []
+
+  for (const source of sources) {
+    if (fs.existsSync(path.resolve(worktree, source))) {
+      present.push(source)
+    } else if (isOptional && isOptional(source)) {
+      absent.add(source)
+      if (logger && componentName && key) logger.debug(`  ○ Absent (optional): ${source}`)
+    } else {
+      missingSources.push(source)
+    }
+  }
+
+  if (missingSources.length === 0) return { present, absent }
+
+  if (missing === 'ignore') {
+    if (logger && componentName && key) {
+      logger.debug(`  Ignoring ${missingSources.length} missing source(s): ${missingSources.join(', ')}`)
+    }
+    return { present, absent }
+  }
+
+  if (missing === 'error') {
+    throw new Error(`Missing required source(s): ${missingSources.join(', ')}`)
+  }
+
+  if (logger && componentName && key) logMissingSource(worktree, missingSources[0], logger)
+  return null
+}
+
+/**
+ * Assemble the hashes of checked sources in source order, logging each one
+ *
  * @param {string[]} sources - Array of relative source file paths
+ * @param {object} checked - Result of checkSources
+ * @param {string[]} digests - Digests of the present sources, in the order of checked.present
  * @param {object} [logger] - Optional logger instance
  * @param {string} [componentName] - Optional component name for logging
  * @param {string} [key] - Optional entry key for logging
- * @returns {object|null} Object mapping source paths to their hashes, or null if any source is missing
+ * @returns {object} Object mapping source paths to their hashes
  */
-function computeHashes (worktree, sources, logger, componentName, key) {
+function collectHashes (sources, { present, absent }, digests, logger, componentName, key) {
+  const digestsBySource = new Map(present.map((source, idx) => [source, digests[idx]]))
   const hashes = {}
 
+  for (const source of sources) {
+    if (absent.has(source)) {
+      hashes[source] = ABSENT_SOURCE_HASH
+    } else if (digestsBySource.has(source)) {
+      hashes[source] = digestsBySource.get(source)
+      if (logger && componentName && key) {
+        logger.debug(`  ✓ Found: ${source} (${hashes[source].substring(0, 12)}...)`)
+      }
+    }
+  }
+
+  return hashes
+}
+
+/**
+ * Compute hashes for source files (SHA-256 unless another algorithm is given)
+ * Files are streamed through the hash, with up to `concurrency` files hashed at a time, so large
+ * files are never buffered in memory and the event loop is not blocked.
+ * When a hash memo is given, a file whose size, mtime and inode match the memo entry reuses the
+ * memoized digest instead of being read. The verify option rehashes every file and refreshes the memo.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of source file paths, relative to the worktree or absolute
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [componentName] - Optional component name for logging
+ * @param {string} [key] - Optional entry key for logging
+ * @param {object} [options] - Optional settings
+ * @param {object} [options.memo] - Hash memo of the worktree (see loadHashMemo)
+ * @param {boolean} [options.verify=false] - Ignore memoized digests and hash every file
+ * @param {number} [options.concurrency=8] - Maximum number of files hashed at a time
+ * @param {Function} [options.normalize] - Function returning the normalizers for a source (see createNormalizeResolver)
+ * @param {Function} [options.hasher] - Function returning the custom hasher for a source (see createHasherResolver)
+ * @param {string} [options.algorithm='sha256'] - Digest algorithm supported by node:crypto
+ * @param {Function} [options.isOptional] - Function returning true for sources that may be absent
+ * @param {string} [options.missing='miss'] - Policy for missing required sources (miss, error or ignore)
+ * @returns {Promise<object|null>} Object mapping source paths to their hashes (absent optional sources map to
+ *   'absent'), or null if a required source is missing under the miss policy
+ */
+async function computeHashes (
+  worktree,
+  sources,
+  logger,
+  componentName,
+  key,
+  {
+    memo,
+    verify = false,
+    concurrency = DEFAULT_HASH_CONCURRENCY,
+    normalize,
+    hasher,
+    algorithm,
+    isOptional,
+    missing,
+  } = {}
+) {
   if (logger && componentName && key) {
     logger.debug(`Checking source files for ${componentName}/${key} in worktree: ${worktree}`)
   }
 
-  for (const source of sources) {
+  const checked = checkSources(worktree, sources, logger, componentName, key, { isOptional, missing })
+  if (!checked) return null
+
+  const digests = await mapConcurrent(checked.present, concurrency, (source) => {
+    const filePath = path.resolve(worktree, source)
+    const transform = resolveTransform(source, normalize, hasher)
+    const hashSource = transform
+      ? async (file) => computeHash(await readTransformedFile(file, source, transform), algorithm)
+      : (file) => hashFile(file, algorithm)
+    if (!memo) return hashSource(filePath)
+    return hashFileWithMemo(filePath, source, memo, verify, logger, {
+      hasher: hashSource,
+      variant: transform && stableStringify({ ...transform, hasher: transform.hasher && transform.hasher.moduleHash }),
+    })
+  })
+
+  return collectHashes(sources, checked, digests, logger, componentName, key)
+}
+
+/**
+ * Stream a file through a hash and return the digest
+ *
+ * @param {string} filePath - Path to the file
+ * @param {crypto.Hash} hash - Hash to update with the file content
+ * @returns {Promise<string>} Digest as hex string
+ */
+async function digestFile (filePath, hash) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk)
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Compute the hash of a file's content
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} [algorithm='sha256'] - Digest algorithm supported by node:crypto
+ * @returns {Promise<string>} Hash as hex string
+ */
+function hashFile (filePath, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return digestFile(filePath, crypto.createHash(algorithm))
+}
+
+/**
+ * Create a pass-through stream that computes the digest of the data flowing through it
+ * The digest is available from the digest() method of the stream once all data has passed through.
+ *
+ * @param {string} [algorithm='sha256'] - Digest algorithm supported by node:crypto
+ * @returns {Transform} Pass-through stream with a digest() method that returns the digest as hex string
+ */
+function createDigestStream (algorithm = DEFAULT_HASH_ALGORITHM) {
+  const hash = crypto.createHash(algorithm)
+  const stream = new Transform({
+    transform (chunk, _, callback) {
+      hash.update(chunk)
+      callback(null, chunk)
+    },
+  })
+  stream.digest = () => hash.digest('hex')
+  return stream
+}
+
+/**
+ * Resolve the normalizers and custom hasher that apply to a source
+ *
+ * @param {string} source - Relative source path
+ * @param {Function} [normalize] - Normalize resolver (see createNormalizeResolver)
+ * @param {Function} [hasher] - Hasher resolver (see createHasherResolver)
+ * @returns {object|undefined} Object with normalizers and hasher, or undefined if the file is hashed as is
+ */
+function resolveTransform (source, normalize, hasher) {
+  const normalizers = normalize && normalize(source)
+  const customHasher = hasher && hasher(source)
+  if (!normalizers && !customHasher) return undefined
+  return { normalizers, hasher: customHasher }
+}
+
+/**
+ * Read a file and apply its normalizers, then its custom hasher
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} source - Relative source path passed to the custom hasher
+ * @param {object} transform - Object with normalizers and hasher (see resolveTransform)
+ * @returns {Promise<Buffer>} Content to digest
+ */
+async function readTransformedFile (filePath, source, { normalizers, hasher }) {
+  let content = await fs.promises.readFile(filePath)
+  if (normalizers) content = normalizeContent(content, normalizers)
+  if (!hasher) return content
+
+  const result = await hasher.hash(source, content)
+  if (typeof result === 'string') return Buffer.from(result, 'utf8')
+  if (Buffer.isBuffer(result)) return result
+  throw new Error(`Hasher "${hasher.name}" returned ${typeof result} for ${source} (expected a string or Buffer)`)
+}
+
+/**
+ * Compute the git blob object ID of a file without reading it into memory
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} SHA-1 object ID as hex string
+ */
+async function hashGitBlobFile (filePath) {
+  const { size } = await fs.promises.stat(filePath)
+  return digestFile(filePath, crypto.createHash('sha1').update(`blob ${size}\0`))
+}
+
+/**
+ * Compute the hash of a file, reusing the memoized digest if its stat data is unchanged
+ * The variant identifies how the digest was derived (e.g., which normalizers were applied); a memo
+ * entry recorded for another variant is not reused.
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} source - Relative source path used as memo key
+ * @param {object} memo - Hash memo of the worktree
+ * @param {boolean} verify - Ignore the memoized digest and hash the file
+ * @param {object} [logger] - Optional logger instance
+ * @param {object} [options] - Optional settings
+ * @param {Function} [options.hasher=hashFile] - Function computing the digest of a file
+ * @param {string} [options.variant] - Identifier of the hasher, recorded in the memo entry
+ * @returns {Promise<string>} Hash as hex string
+ */
+async function hashFileWithMemo (filePath, source, memo, verify, logger, { hasher = hashFile, variant } = {}) {
+  const { size, mtimeMs, ino } = fs.statSync(filePath)
+  const memoized = memo.files[source]
+  const statMatches =
+    memoized &&
+    memoized.size === size &&
+    memoized.mtimeMs === mtimeMs &&
+    memoized.ino === ino &&
+    memoized.variant === variant
+
+  if (statMatches && !verify) return memoized.hash
+
+  const hash = await hasher(filePath)
+  if (statMatches && memoized.hash !== hash && logger) {
+    logger.warn(`Hash memo was stale for ${source} (file changed without a stat change)`)
+  }
+
+  if (Date.now() - mtimeMs > RACY_MTIME_WINDOW) {
+    memo.files[source] = variant ? { size, mtimeMs, ino, variant, hash } : { size, mtimeMs, ino, hash }
+  } else {
+    delete memo.files[source]
+  }
+  memo.dirty = true
+
+  return hash
+}
+
+/**
+ * Compute the git blob object ID of a file's content (same result as `git hash-object`)
+ *
+ * @param {Buffer} content - File content
+ * @returns {string} SHA-1 object ID as hex string
+ */
+function computeGitBlobId (content) {
+  return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex')
+}
+
+/**
+ * Compute git blob object IDs for source files
+ * Files whose stat data matches the git index take their object ID from the index without being read.
+ * Modified and untracked files (or all files if the worktree has no .git directory) are read and hashed
+ * as git blobs, so the same content always yields the same ID.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of relative source file paths
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [componentName] - Optional component name for logging
+ * @param {string} [key] - Optional entry key for logging
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.concurrency=8] - Maximum number of files hashed at a time
+ * @param {Function} [options.normalize] - Function returning the normalizers for a source (see createNormalizeResolver)
+ * @param {Function} [options.hasher] - Function returning the custom hasher for a source (see createHasherResolver)
+ * @param {Function} [options.isOptional] - Function returning true for sources that may be absent
+ * @param {string} [options.missing='miss'] - Policy for missing required sources (miss, error or ignore)
+ * @param {string} [options.gitdir] - Git directory of the worktree (default: worktree/.git)
+ * @returns {Promise<object|null>} Object mapping source paths to blob object IDs (absent optional sources map to
+ *   'absent'), or null if a required source is missing under the miss policy
+ */
+async function computeGitObjectHashes (
+  worktree,
+  sources,
+  logger,
+  componentName,
+  key,
+  { concurrency = DEFAULT_HASH_CONCURRENCY, normalize, hasher, isOptional, missing, gitdir } = {}
+) {
+  if (logger && componentName && key) {
+    logger.debug(`Checking source files for ${componentName}/${key} in worktree: ${worktree} (git object IDs)`)
+  }
+
+  const checked = checkSources(worktree, sources, logger, componentName, key, { isOptional, missing })
+  if (!checked) return null
+
+  const oids = await readWorkdirObjectIds(worktree, checked.present, logger, gitdir)
+  const digests = await mapConcurrent(checked.present, concurrency, async (source) => {
     const filePath = path.join(worktree, source)
+    // The object ID in the index identifies the raw content, so transformed files are always read
+    const transform = resolveTransform(source, normalize, hasher)
+    if (transform) return computeGitBlobId(await readTransformedFile(filePath, source, transform))
+    return oids.get(path.posix.normalize(source)) || hashGitBlobFile(filePath)
+  })
 
-    if (!fs.existsSync(filePath)) {
-      if (logger && componentName && key) {
-        logger.debug(`  ✗ Missing: ${source}`)
-        // List what's actually in the worktree
-        try {
-          const worktreeContents = fs.readdirSync(worktree, { withFileTypes: true })
-          const files = worktreeContents.filter((e) => e.isFile()).map((e) => e.name)
-          const dirs = worktreeContents.filter((e) => e.isDirectory()).map((e) => e.name + '/')
-          logger.debug(`  Worktree contains: ${[...dirs, ...files].join(', ') || '(empty)'}`)
-        } catch (err) {
-          logger.debug(`  Failed to list worktree contents: ${err.message}`)
-        }
-      }
-      return null
+  return collectHashes(sources, checked, digests, logger, componentName, key)
+}
+
+/**
+ * Check whether the stat data recorded in the git index still matches a worktree file
+ * Follows the rule git uses: the entry must match the mode, size, inode and modification and change times
+ * (in seconds) of the file, and the file must not be racily clean, i.e., modified in the same second as or
+ * after the index was written.
+ *
+ * @param {object} entry - Normalized stat data of the index entry
+ * @param {fs.Stats} stat - Result of lstat on the worktree file
+ * @param {fs.Stats} indexStat - Result of stat on the index file
+ * @returns {boolean} True if the object ID in the index identifies the current file contents
+ */
+function isIndexEntryCurrent (entry, stat, indexStat) {
+  const seconds = (ms) => Math.floor(ms / 1000)
+  return (
+    stat.isFile() &&
+    entry.mode === (stat.mode & 0o100 ? 0o100755 : 0o100644) &&
+    entry.size === stat.size % 2 ** 32 &&
+    entry.ino === stat.ino % 2 ** 32 &&
+    entry.mtimeSeconds === seconds(stat.mtimeMs) &&
+    entry.ctimeSeconds === seconds(stat.ctimeMs) &&
+    seconds(stat.mtimeMs) < seconds(indexStat.mtimeMs)
+  )
+}
+
+/**
+ * Read the object IDs of worktree files through the git index
+ * Returns an empty map if the git directory does not exist or the index cannot be read.
+ * In remote builds, the worktree is checked out from a git directory kept outside of it.
+ * The index is only read, never refreshed, since it may belong to a worktree in local development.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of relative source file paths
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [gitdir=worktree/.git] - Git directory of the worktree
+ * @returns {Promise<Map<string, string>>} Map of normalized source paths to blob object IDs
+ */
+async function readWorkdirObjectIds (worktree, sources, logger, gitdir = path.join(worktree, '.git')) {
+  const oids = new Map()
+
+  const gitdirStat = fs.statSync(gitdir, { throwIfNoEntry: false })
+  if (!gitdirStat || !gitdirStat.isDirectory()) {
+    if (logger) logger.debug(`  No git directory at ${gitdir} - hashing source contents`)
+    return oids
+  }
+
+  // Only descend into directories that lead to a source
+  const wanted = new Set(sources.map((source) => path.posix.normalize(source)))
+  const parents = new Set(['.'])
+  for (const source of wanted) {
+    for (let dir = path.posix.dirname(source); dir !== '.' && !parents.has(dir); dir = path.posix.dirname(dir)) {
+      parents.add(dir)
     }
+  }
+
+  try {
+    const indexStat = fs.statSync(path.join(gitdir, 'index'), { throwIfNoEntry: false })
+    if (!indexStat) return oids
+    const git = require('isomorphic-git')
+    await git.walk({
+      fs,
+      gitdir,
+      trees: [git.STAGE()],
+      map: async (filepath, [entry]) => {
+        if (!entry) return null
+        if (wanted.has(filepath) && (await entry.type()) === 'blob') {
+          const stat = fs.lstatSync(path.join(worktree, filepath))
+          if (isIndexEntryCurrent(await entry.stat(), stat, indexStat)) oids.set(filepath, await entry.oid())
+        }
+        return parents.has(filepath) ? true : null
+      },
+    })
+  } catch (err) {
+    if (logger) logger.warn(`Failed to read git object IDs in ${worktree}: ${err.message}`)
+    oids.clear()
+  }
 
-    const content = fs.readFileSync(filePath)
-    const hash = crypto.createHash('sha256').update(content).digest('hex')
-    hashes[source] = hash
+  return oids
+}
 
-    if (logger && componentName && key) {
-      logger.debug(`  ✓ Found: ${source} (${hash.substring(0, 12)}...)`)
+/**
+ * Read the file mode and symlink target of source files, as git records them
+ * Only what git tracks is recorded, so the metadata does not depend on the umask of the machine that checked
+ * out the sources: files are '100755' when executable by their owner and '100644' otherwise; symlinks are
+ * '120000' along with their literal target. Symlinks, including symlinked parent directories, must resolve
+ * to a file inside the worktree.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of relative source file paths
+ * @returns {Promise<object>} Object mapping source paths to { mode, symlink }
+ * @throws {Error} If a source resolves to a path outside the worktree
+ */
+async function computeFileMetadata (worktree, sources) {
+  const worktreeRealPath = await fs.promises.realpath(worktree)
+  const metadata = {}
+
+  for (const source of sources) {
+    const filePath = path.join(worktree, source)
+    const realPath = await fs.promises.realpath(filePath)
+    const relative = path.relative(worktreeRealPath, realPath)
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Source ${source} resolves outside the worktree: ${realPath}`)
+    }
+
+    const stat = await fs.promises.lstat(filePath)
+    if (stat.isSymbolicLink()) {
+      metadata[source] = { mode: '120000', symlink: await fs.promises.readlink(filePath) }
+    } else {
+      metadata[source] = { mode: stat.mode & 0o100 ? '100755' : '100644' }
     }
   }
 
-  return hashes
+  return metadata
 }
 
 /**
- * Compute content hash from source file hashes
+ * Serialize a value to JSON with object keys sorted at every level
+ * Used so that equivalent key inputs always produce the same hash
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON string
+ */
+function stableStringify (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value)
+      .sort()
+      .filter((name) => value[name] !== undefined)
+      .map((name) => `${JSON.stringify(name)}:${stableStringify(value[name])}`)
+    return `{${members.join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Compute content hash from source file hashes and additional key inputs
+ * Each source contributes both its path and its hash, so renaming a file or swapping
+ * the contents of two files produces a different content hash.
  *
  * @param {object} sourceHashes - Object mapping source paths to their hashes
- * @returns {string} SHA-256 hash of combined source hashes
+ * @param {object} [keyInputs] - Non-file inputs (e.g., run configuration) that affect the outputs
+ * @param {string} [algorithm='sha256'] - Digest algorithm supported by node:crypto
+ * @returns {string} Hash of key scheme version, source paths and hashes, and key inputs
  */
-function computeContentHash (sourceHashes) {
-  // Sort keys for consistent ordering
-  const sortedKeys = Object.keys(sourceHashes).sort()
+function computeContentHash (sourceHashes, keyInputs, algorithm = DEFAULT_HASH_ALGORITHM) {
+  const hash = crypto.createHash(algorithm).update(`collector-cache-key:v${KEY_VERSION}\n`)
 
-  // Concatenate hashes in sorted order
-  const combined = sortedKeys.map((key) => sourceHashes[key]).join('')
+  // Sort keys for consistent ordering; NUL cannot occur in a path, so path/hash pairs are unambiguous
+  for (const source of Object.keys(sourceHashes).sort()) {
+    hash.update(`${source}\0${sourceHashes[source]}\n`)
+  }
+
+  // Finish with the canonical form of the key inputs
+  hash.update(stableStringify(keyInputs || {}))
 
-  // Hash the combined string
-  return crypto.createHash('sha256').update(combined).digest('hex')
+  return hash.digest('hex')
 }
 
 /**
- * Compute SHA-256 hash of a string or buffer
+ * Compute the hash of a string or buffer
  *
  * @param {string|Buffer} content - Content to hash
- * @returns {string} SHA-256 hash as hex string
+ * @param {string} [algorithm='sha256'] - Digest algorithm supported by node:crypto
+ * @returns {string} Hash as hex string
  */
-function computeHash (content) {
-  return crypto.createHash('sha256').update(content).digest('hex')
+function computeHash (content, algorithm = DEFAULT_HASH_ALGORITHM) {
+  return crypto.createHash(algorithm).update(content).digest('hex')
+}
+
+/**
+ * Check that a digest algorithm is usable for hashing
+ * Extendable-output functions such as shake256 are accepted with their default output length.
+ *
+ * @param {string} algorithm - Name of the algorithm
+ * @returns {string} The algorithm name
+ * @throws {Error} If node:crypto does not support the algorithm
+ */
+function validateHashAlgorithm (algorithm) {
+  try {
+    crypto.createHash(algorithm)
+  } catch (err) {
+    throw new Error(`Unsupported hash algorithm "${algorithm}": ${err.message}`)
+  }
+  return algorithm
 }
 
 module.exports = {
+  KEY_VERSION,
+  DEFAULT_HASH_CONCURRENCY,
+  DEFAULT_HASH_ALGORITHM,
+  ABSENT_SOURCE_HASH,
+  MISSING_SOURCE_POLICIES,
+  mapConcurrent,
   computeHashes,
+  hashFile,
+  createDigestStream,
+  computeGitBlobId,
+  computeGitObjectHashes,
+  computeFileMetadata,
   computeContentHash,
   computeHash,
+  validateHashAlgorithm,
+  stableStringify,
 }
@@ -0,0 +1,86 @@
+'use strict'
+
+const fs = require('fs')
+const crypto = require('crypto')
+const { resolveModulePath } = require('./fs')
+const { normalizePropertyName } = require('./key')
+const { createSourceMatcher } = require('./sources')
+
+/**
+ * Load the custom hasher modules registered in the playbook
+ * Each module exports a function (or an object with a `hash` function) that receives the relative
+ * source path and the file content and returns a digest or canonical form of the content (string or Buffer).
+ * Module paths starting with `.` are resolved from the playbook directory; other names are resolved as packages.
+ * Antora converts the keys of the extension configuration to camelCase, so hashers are registered under their
+ * normalized name (see normalizePropertyName) and package-deps, packageDeps and packagedeps name the same hasher.
+ *
+ * @param {object} hasherModules - Object mapping hasher names to module paths
+ * @param {string} baseDir - Directory to resolve module paths from (playbook.dir)
+ * @returns {Map} Map of normalized name -> { hash, moduleHash } where moduleHash identifies the module source
+ */
+function loadHashers (hasherModules, baseDir) {
+  const hashers = new Map()
+  if (!hasherModules) return hashers
+
+  for (const [name, request] of Object.entries(hasherModules)) {
+    const modulePath = resolveModulePath(request, baseDir)
+    const exported = require(modulePath)
+    const hash = typeof exported === 'function' ? exported : exported?.hash
+    if (typeof hash !== 'function') {
+      throw new Error(`Hasher module "${request}" must export a function or an object with a hash function`)
+    }
+    // Changes to the hasher implementation must invalidate the keys of the entries that use it
+    const moduleHash = crypto.createHash('sha256').update(fs.readFileSync(modulePath)).digest('hex')
+    hashers.set(normalizePropertyName(name), { hash, moduleHash })
+  }
+
+  return hashers
+}
+
+/**
+ * Collect the hasher assignments declared on run.sources entries
+ *
+ * @param {Array<string|object>} sources - Entries of run.sources
+ * @param {Map} hashers - Hashers returned by loadHashers
+ * @returns {object[]} Array of rules, each with the `files` pattern, the normalized `hasher` name and its module hash
+ */
+function parseHasherRules (sources, hashers) {
+  const rules = []
+  if (!sources || !Array.isArray(sources)) return rules
+
+  for (const source of sources) {
+    if (typeof source === 'string' || !source?.path || !source.hasher) continue
+    const name = normalizePropertyName(source.hasher)
+    const hasher = hashers.get(name)
+    if (!hasher) throw new Error(`Unknown hasher "${source.hasher}" for sources "${source.path}"`)
+    rules.push({ files: source.path.replace(/^\.\//, ''), hasher: name, moduleHash: hasher.moduleHash })
+  }
+
+  return rules
+}
+
+/**
+ * Create a function that returns the custom hasher that applies to a source file
+ * When several rules match a file, the first one wins.
+ *
+ * @param {object[]} rules - Rules returned by parseHasherRules
+ * @param {Map} hashers - Hashers returned by loadHashers
+ * @returns {Function|undefined} Function mapping a source path to { name, hash, moduleHash } (or undefined),
+ *   if any rules exist
+ */
+function createHasherResolver (rules, hashers) {
+  if (!rules || rules.length === 0) return undefined
+
+  const matchers = rules.map(({ files, hasher }) => ({
+    matches: createSourceMatcher(files),
+    hasher: { name: hasher, ...hashers.get(hasher) },
+  }))
+
+  return (source) => matchers.find(({ matches }) => matches(source))?.hasher
+}
+
+module.exports = {
+  loadHashers,
+  parseHasherRules,
+  createHasherResolver,
+}
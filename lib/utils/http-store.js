@@ -0,0 +1,157 @@
+'use strict'
+
+const fs = require('fs')
+const { computeHash, createDigestStream } = require('./hash')
+const {
+  DEFAULT_HTTP_TIMEOUT,
+  openRequest,
+  readStream,
+  parseJsonBody,
+  createRemoteFallback,
+  withUploadArchive,
+} = require('./remote')
+const { unpackArchive } = require('./archive')
+
+// Bazel-style caches expect SHA-256 keys regardless of the hash-algorithm of the local cache
+const DIGEST_ALGORITHM = 'sha256'
+
+/**
+ * Expand references to environment variables (`${NAME}`) in header values
+ * Credentials can then be kept out of the playbook. Headers may be given as a list of name/value
+ * entries, like run.env, which keeps Antora from changing the case of the header names.
+ *
+ * @param {object|object[]} [headers] - Object mapping header names to values, or array of { name, value }
+ * @param {object} [env=process.env] - Environment to read the variables from
+ * @returns {object} Headers with references replaced by the variable values (empty if unset)
+ */
+function expandHeaders (headers, env = process.env) {
+  const expanded = {}
+  const entries = Array.isArray(headers)
+    ? headers.map(({ name, value }) => [name, value])
+    : Object.entries(headers || {})
+  for (const [name, value] of entries) {
+    expanded[name] = String(value).replace(/\$\{(\w+)\}/g, (_, variable) => env[variable] || '')
+  }
+  return expanded
+}
+
+/**
+ * Create a cache store backed by an HTTP cache server speaking the Bazel remote cache protocol
+ * Pointers are stored in the action cache (`/ac/`) under a digest of the component, key and content hash;
+ * outputs are packed into an archive stored in the content-addressable store (`/cas/`) under its SHA-256
+ * digest, and referenced from an action cache entry for the content hash and output directory.
+ * Archives are streamed from a temporary file on upload and extracted as they are downloaded.
+ *
+ * When the server cannot be reached or responds with an error, the store logs a warning and, unless the
+ * fallback option is false, acts as an empty cache for the rest of the build, so entries are built locally.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.url - Base URL of the cache server (e.g., http://cache.example.org:8080)
+ * @param {object|object[]} [options.headers] - Headers sent with every request (e.g., Authorization); values may
+ *   reference environment variables as `${NAME}`
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for the server before giving up on a request
+ * @param {boolean} [options.fallback=true] - Whether to continue without the cache when the server fails
+ * @param {object} [options.logger] - Optional logger instance
+ * @returns {object} Cache store
+ */
+function createHttpStore ({ url, headers, timeout, fallback = true, logger } = {}) {
+  if (!url) throw new Error('The http cache store requires a url option')
+  const baseUrl = String(url).replace(/\/+$/, '')
+  const requestHeaders = expandHeaders(headers)
+  const requestTimeout = Number(timeout) || DEFAULT_HTTP_TIMEOUT
+  const remote = createRemoteFallback({ location: baseUrl, fallback, logger })
+
+  // Resolves to the response body as a stream, or null if the resource does not exist
+  const openResource = async (method, resource, body, headers) => {
+    const { statusCode, body: responseBody } = await openRequest(new URL(`${baseUrl}/${resource}`), {
+      method,
+      headers: { ...requestHeaders, ...headers },
+      body,
+      timeout: requestTimeout,
+    })
+    if (statusCode >= 200 && statusCode < 300) return responseBody
+    responseBody.resume()
+    if (statusCode === 404) return null
+    throw new Error(`${method} ${resource} returned HTTP ${statusCode}`)
+  }
+
+  const request = async (method, resource, body, headers) => {
+    const responseBody = await openResource(method, resource, body, headers)
+    return responseBody && readStream(responseBody)
+  }
+
+  const getJson = async (resource) => parseJsonBody(await request('GET', resource))
+
+  const pointerResource = (componentName, key, contentHash) =>
+    `ac/${computeHash(`collector-cache-pointer\0${componentName}\0${key}\0${contentHash}`, DIGEST_ALGORITHM)}`
+  const latestPointerResource = (componentName, key) =>
+    `ac/${computeHash(`collector-cache-latest\0${componentName}\0${key}`, DIGEST_ALGORITHM)}`
+  const outputsResource = (contentHash, outputDir) =>
+    `ac/${computeHash(`collector-cache-outputs\0${contentHash}\0${outputDir}`, DIGEST_ALGORITHM)}`
+
+  return {
+    name: 'http',
+
+    async getPointer (componentName, key, contentHash) {
+      return remote.run(null, () => getJson(pointerResource(componentName, key, contentHash)))
+    },
+
+    async getLatestPointer (componentName, key) {
+      return remote.run(null, () => getJson(latestPointerResource(componentName, key)))
+    },
+
+    async putPointer (componentName, key, contentHash, pointer) {
+      const body = Buffer.from(JSON.stringify(pointer, null, 2), 'utf8')
+      await remote.run(undefined, async () => {
+        await request('PUT', pointerResource(componentName, key, contentHash), body)
+        await request('PUT', latestPointerResource(componentName, key), body)
+        if (logger) logger.debug(`Uploaded pointer for ${componentName}/${key} to ${baseUrl}`)
+      })
+    },
+
+    async hasOutputs (contentHash, outputDir) {
+      return remote.run(false, async () => {
+        const outputs = await getJson(outputsResource(contentHash, outputDir))
+        return Boolean(outputs && (await request('HEAD', `cas/${outputs.archive}`)) !== null)
+      })
+    },
+
+    async fetchOutputs (contentHash, outputDir, destination) {
+      // Outputs reported by hasOutputs must be restored, so failures are never masked here
+      if (remote.offline) throw new Error(`Remote cache ${baseUrl} unavailable`)
+      const outputs = await getJson(outputsResource(contentHash, outputDir))
+      const archive = outputs && (await openResource('GET', `cas/${outputs.archive}`))
+      if (!archive) throw new Error(`Outputs for ${contentHash} not found in remote cache ${baseUrl}`)
+      // The archive is extracted as it arrives, so its digest can only be checked once it has been read
+      const digest = createDigestStream(DIGEST_ALGORITHM)
+      archive.on('error', (err) => digest.destroy(err))
+      let fileCount
+      try {
+        fileCount = await unpackArchive(archive.pipe(digest), destination)
+      } finally {
+        archive.destroy()
+      }
+      if (digest.digest() !== outputs.archive) {
+        fs.rmSync(destination, { recursive: true, force: true })
+        throw new Error(`Outputs for ${contentHash} in remote cache ${baseUrl} do not match their digest`)
+      }
+      if (logger) logger.debug(`Downloaded ${fileCount} output file(s) for ${contentHash} from ${baseUrl}`)
+    },
+
+    async storeOutputs (contentHash, outputDir, source) {
+      await withUploadArchive(source, (archivePath, { size, digest }) =>
+        remote.run(undefined, async () => {
+          await request('PUT', `cas/${digest}`, fs.createReadStream(archivePath), { 'Content-Length': size })
+          const outputs = { archive: digest, size }
+          await request('PUT', outputsResource(contentHash, outputDir), Buffer.from(JSON.stringify(outputs), 'utf8'))
+          if (logger) logger.debug(`Uploaded outputs for ${contentHash} to ${baseUrl} (${size} bytes)`)
+        })
+      )
+    },
+  }
+}
+
+module.exports = {
+  expandHeaders,
+  createHttpStore,
+}
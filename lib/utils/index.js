@@ -6,4 +6,12 @@ module.exports = {
   ...require('./cache'),
   ...require('./git'),
   ...require('./sources'),
+  ...require('./key'),
+  ...require('./normalize'),
+  ...require('./hashers'),
+  ...require('./store'),
+  ...require('./remote'),
+  ...require('./http-store'),
+  ...require('./s3-store'),
+  ...require('./archive'),
 }
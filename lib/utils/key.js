@@ -0,0 +1,223 @@
+'use strict'
+
+const { runCommand } = require('./sources')
+
+/**
+ * Run properties consumed by this extension rather than by the collector command.
+ * Names are compared in normalized form (see normalizePropertyName).
+ */
+const EXTENSION_RUN_PROPERTIES = new Set([
+  'key',
+  'sources',
+  'sourcesexclude',
+  'externalsources',
+  'sourcesubmodules',
+  'keycommands',
+  'optionalsources',
+  'missingsources',
+  'respectgitignore',
+  'sourcecommands',
+  'cachedir',
+  'dependson',
+  'restoretoworktree',
+  'hashenv',
+  'toolversions',
+  'hashmetadata',
+])
+
+/**
+ * Normalize a run property name so that kebab-case, camelCase and lowercased keys compare equal
+ *
+ * @param {string} name - Property name as it appears in the run configuration
+ * @returns {string} Lowercased name without separators
+ */
+function normalizePropertyName (name) {
+  return name.toLowerCase().replace(/[-_]/g, '')
+}
+
+/**
+ * Extract the run properties that affect the collector output (command, dir, env, ...)
+ * Properties used only by this extension are dropped, as are undefined values.
+ *
+ * @param {object} run - Run configuration of a collector-cache entry
+ * @returns {object} Run properties that participate in the cache key
+ */
+function extractRunConfig (run) {
+  const runConfig = {}
+  if (!run) return runConfig
+
+  for (const [name, value] of Object.entries(run)) {
+    if (value === undefined || EXTENSION_RUN_PROPERTIES.has(normalizePropertyName(name))) continue
+    runConfig[name] = value
+  }
+
+  return runConfig
+}
+
+/**
+ * Resolve the values of the environment variables declared in run.hash-env
+ * Unset variables are recorded as null so that unsetting a variable changes the key.
+ *
+ * @param {string[]} names - Names of environment variables that participate in the cache key
+ * @param {object} [env=process.env] - Environment to read the variables from
+ * @returns {object} Object mapping variable names to their values (null if unset)
+ */
+function resolveHashEnv (names, env = process.env) {
+  const hashEnv = {}
+  if (!names || !Array.isArray(names)) return hashEnv
+
+  for (const name of names) {
+    hashEnv[name] = name in env ? env[name] : null
+  }
+
+  return hashEnv
+}
+
+/**
+ * Run the tool version probes declared in run.tool-versions
+ * Each command runs in the worktree; its trimmed stdout is recorded, or null if the probe fails.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} commands - Shell commands that print a tool version (e.g., `doxygen --version`)
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [componentName] - Optional component name for logging
+ * @param {string} [key] - Optional entry key for logging
+ * @returns {Promise<object>} Object mapping probe commands to their output (null if the probe failed)
+ */
+async function resolveToolVersions (worktree, commands, logger, componentName, key) {
+  const toolVersions = {}
+  if (!commands || !Array.isArray(commands) || commands.length === 0) return toolVersions
+
+  if (logger && componentName && key) {
+    logger.debug(`Probing tool versions for ${componentName}/${key}`)
+  }
+
+  for (const command of commands) {
+    try {
+      const output = await runCommand(command, worktree)
+      toolVersions[command] = output.trim()
+      if (logger) logger.debug(`  ${command}: ${toolVersions[command].split('\n')[0]}`)
+    } catch (err) {
+      toolVersions[command] = null
+      if (logger) {
+        logger.warn(`Failed to run tool version probe "${command}" for ${componentName}/${key}: ${err.message}`)
+      }
+    }
+  }
+
+  return toolVersions
+}
+
+/**
+ * Run the commands declared in run.key-commands
+ * Each command runs in the worktree and its stdout (e.g., the output of `pip freeze`) is recorded verbatim.
+ * Since the output defines the key, a failing command makes the key unknown and is reported as an error.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} commands - Shell commands whose output is part of the cache key
+ * @param {object} [logger] - Optional logger instance
+ * @param {string} [componentName] - Optional component name for logging
+ * @param {string} [key] - Optional entry key for logging
+ * @returns {Promise<object>} Object mapping commands to their output
+ * @throws {Error} If a command fails
+ */
+async function resolveKeyCommands (worktree, commands, logger, componentName, key) {
+  const keyCommands = {}
+  if (!commands || !Array.isArray(commands) || commands.length === 0) return keyCommands
+
+  if (logger && componentName && key) {
+    logger.debug(`Running key commands for ${componentName}/${key}`)
+  }
+
+  for (const command of commands) {
+    try {
+      keyCommands[command] = await runCommand(command, worktree)
+    } catch (err) {
+      throw new Error(`Key command "${command}" failed: ${err.message}`)
+    }
+    if (logger) logger.debug(`  ${command}: ${Buffer.byteLength(keyCommands[command])} byte(s) of output`)
+  }
+
+  return keyCommands
+}
+
+/**
+ * Build the non-file inputs that are folded into the content hash of an entry
+ *
+ * @param {object} run - Run configuration of a collector-cache entry
+ * @param {object} [options] - Optional settings
+ * @param {object} [options.env=process.env] - Environment used to resolve run.hash-env
+ * @param {object} [options.toolVersions] - Tool versions resolved by resolveToolVersions
+ * @param {object} [options.keyCommands] - Command outputs resolved by resolveKeyCommands
+ * @param {string|number} [options.cacheVersion] - Playbook-level cache epoch
+ * @param {string} [options.sourceIdentity] - How source hashes were derived, if not from file contents ('git-blob')
+ * @param {object[]} [options.normalize] - Normalization rules applied to sources (see parseNormalizeRules)
+ * @param {object[]} [options.hashers] - Custom hasher rules applied to sources (see parseHasherRules)
+ * @param {object} [options.fileMetadata] - File modes and symlink targets of sources (see computeFileMetadata)
+ * @param {object} [options.dependencies] - Object mapping dependency keys to their content hashes
+ * @param {object} [options.externalSources] - Object mapping sources outside the worktree to their hashes
+ * @param {object} [options.submodules] - Object mapping submodule paths to the commits recorded in the superproject
+ * @returns {object} Key inputs to pass to computeContentHash and record in the pointer file
+ */
+function buildKeyInputs (
+  run,
+  {
+    env = process.env,
+    toolVersions,
+    keyCommands,
+    cacheVersion,
+    sourceIdentity,
+    normalize,
+    hashers,
+    fileMetadata,
+    dependencies,
+    externalSources,
+    submodules,
+  } = {}
+) {
+  const keyInputs = {
+    run: extractRunConfig(run),
+  }
+
+  // Compare as string so that `cache-version: 2` and `cache-version: '2'` select the same epoch
+  if (cacheVersion !== undefined && cacheVersion !== null && cacheVersion !== '') {
+    keyInputs.cacheVersion = String(cacheVersion)
+  }
+
+  // Source hashes of different kinds must never produce the same content hash
+  if (sourceIdentity) keyInputs.sourceIdentity = sourceIdentity
+
+  if (normalize && normalize.length > 0) keyInputs.normalize = normalize
+
+  if (hashers && hashers.length > 0) keyInputs.hashers = hashers
+
+  if (fileMetadata) keyInputs.fileMetadata = fileMetadata
+
+  if (dependencies && Object.keys(dependencies).length > 0) keyInputs.dependencies = dependencies
+
+  if (externalSources && Object.keys(externalSources).length > 0) keyInputs.externalSources = externalSources
+
+  if (submodules && Object.keys(submodules).length > 0) keyInputs.submodules = submodules
+
+  const hashEnvNames = run?.hashenv || run?.hashEnv
+  if (hashEnvNames && hashEnvNames.length > 0) {
+    keyInputs.hashEnv = resolveHashEnv(hashEnvNames, env)
+  }
+
+  if (toolVersions && Object.keys(toolVersions).length > 0) {
+    keyInputs.toolVersions = toolVersions
+  }
+
+  if (keyCommands && Object.keys(keyCommands).length > 0) keyInputs.keyCommands = keyCommands
+
+  return keyInputs
+}
+
+module.exports = {
+  normalizePropertyName,
+  extractRunConfig,
+  resolveHashEnv,
+  resolveToolVersions,
+  resolveKeyCommands,
+  buildKeyInputs,
+}
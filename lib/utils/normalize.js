@@ -0,0 +1,126 @@
+'use strict'
+
+const { normalizePropertyName } = require('./key')
+const { createSourceMatcher } = require('./sources')
+
+/**
+ * Normalizers that can be enabled on a run.sources entry, by normalized option name
+ */
+const NORMALIZERS = {
+  lineendings: 'lineEndings',
+  trailingwhitespace: 'trailingWhitespace',
+  ignorelines: 'ignoreLines',
+}
+
+/**
+ * Parse the normalization options of a run.sources entry into canonical form
+ *
+ * @param {string} pattern - Source path or pattern the options apply to
+ * @param {object} options - Normalization options (line-endings, trailing-whitespace, ignore-lines)
+ * @param {object} [logger] - Optional logger instance
+ * @returns {object|null} Canonical options, or null if no normalizer is enabled
+ */
+function parseNormalizeOptions (pattern, options, logger) {
+  const normalizers = {}
+
+  for (const [name, value] of Object.entries(options || {})) {
+    const normalizer = NORMALIZERS[normalizePropertyName(name)]
+    if (!normalizer) {
+      if (logger) logger.warn(`Ignoring unknown normalizer "${name}" for sources "${pattern}"`)
+      continue
+    }
+
+    if (normalizer === 'ignoreLines') {
+      const regexes = [].concat(value || []).map(String)
+      for (const regex of regexes) {
+        try {
+          RegExp(regex)
+        } catch (err) {
+          throw new Error(`Invalid ignore-lines pattern "${regex}" for sources "${pattern}": ${err.message}`)
+        }
+      }
+      if (regexes.length > 0) normalizers.ignoreLines = regexes
+    } else if (value === true) {
+      normalizers[normalizer] = true
+    }
+  }
+
+  return Object.keys(normalizers).length > 0 ? normalizers : null
+}
+
+/**
+ * Collect the normalization rules declared on run.sources entries
+ *
+ * @param {Array<string|object>} sources - Entries of run.sources
+ * @param {object} [logger] - Optional logger instance
+ * @returns {object[]} Array of rules, each with the `files` pattern and the enabled normalizers
+ */
+function parseNormalizeRules (sources, logger) {
+  const rules = []
+  if (!sources || !Array.isArray(sources)) return rules
+
+  for (const source of sources) {
+    if (typeof source === 'string' || !source?.path || !source.normalize) continue
+    const normalizers = parseNormalizeOptions(source.path, source.normalize, logger)
+    if (normalizers) rules.push({ files: source.path.replace(/^\.\//, ''), ...normalizers })
+  }
+
+  return rules
+}
+
+/**
+ * Create a function that returns the normalizers that apply to a source file
+ * A rule applies to files matching its pattern and, for a directory path, to all files below it.
+ * When several rules match, their normalizers are combined.
+ *
+ * @param {object[]} rules - Rules returned by parseNormalizeRules
+ * @returns {Function|undefined} Function mapping a source path to its normalizers (or undefined), if any rules exist
+ */
+function createNormalizeResolver (rules) {
+  if (!rules || rules.length === 0) return undefined
+
+  const matchers = rules.map(({ files, ...normalizers }) => ({ matches: createSourceMatcher(files), normalizers }))
+
+  return (source) => {
+    let combined
+    for (const { matches, normalizers } of matchers) {
+      if (!matches(source)) continue
+      combined = combined || {}
+      if (normalizers.lineEndings) combined.lineEndings = true
+      if (normalizers.trailingWhitespace) combined.trailingWhitespace = true
+      if (normalizers.ignoreLines) combined.ignoreLines = [...(combined.ignoreLines || []), ...normalizers.ignoreLines]
+    }
+    return combined
+  }
+}
+
+/**
+ * Apply normalizers to the content of a text file
+ * Line endings are converted to LF, trailing spaces and tabs are removed from each line and lines
+ * matching any ignore-lines pattern are dropped.
+ *
+ * @param {Buffer} content - File content
+ * @param {object} normalizers - Normalizers returned by a normalize resolver
+ * @returns {Buffer} Normalized content
+ */
+function normalizeContent (content, normalizers) {
+  let text = content.toString('utf8')
+  if (normalizers.lineEndings) text = text.replace(/\r\n?/g, '\n')
+
+  const ignoreLines = (normalizers.ignoreLines || []).map((regex) => RegExp(regex))
+  let lines = text.split('\n')
+  if (ignoreLines.length > 0) {
+    lines = lines.filter((line) => !ignoreLines.some((regex) => regex.test(line.replace(/\r$/, ''))))
+  }
+  if (normalizers.trailingWhitespace) {
+    lines = lines.map((line) => line.replace(/[ \t]+(\r?)$/, '$1'))
+  }
+
+  return Buffer.from(lines.join('\n'), 'utf8')
+}
+
+module.exports = {
+  parseNormalizeRules,
+  createNormalizeResolver,
+  normalizeContent,
+}
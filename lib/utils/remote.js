@@ -0,0 +1,139 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { writeArchive } = require('./archive')
+
+const DEFAULT_HTTP_TIMEOUT = 10000
+
+// Uploaded archives are addressed by their SHA-256 digest, which S3 also requires to sign the request body
+const UPLOAD_DIGEST_ALGORITHM = 'sha256'
+
+/**
+ * Send an HTTP request and return the response as soon as its headers arrive
+ * The response body is not read, so it can be streamed; it must be consumed or destroyed.
+ *
+ * @param {URL} url - Request URL
+ * @param {object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {object} [options.headers] - Request headers (a streamed body requires a Content-Length header)
+ * @param {Buffer|Readable} [options.body] - Request body, held in memory or as a stream
+ * @param {number} [options.timeout] - Milliseconds to wait for the server before aborting
+ * @returns {Promise<object>} Object with the statusCode and body (Readable) of the response
+ */
+function openRequest (url, { method = 'GET', headers = {}, body, timeout = DEFAULT_HTTP_TIMEOUT } = {}) {
+  const transport = url.protocol === 'https:' ? require('https') : require('http')
+
+  return new Promise((resolve, reject) => {
+    const requestHeaders = Buffer.isBuffer(body) ? { ...headers, 'Content-Length': body.length } : headers
+    const req = transport.request(url, { method, headers: requestHeaders }, (res) =>
+      resolve({ statusCode: res.statusCode, body: res })
+    )
+    req.setTimeout(timeout, () => req.destroy(new Error(`Request timed out after ${timeout}ms`)))
+    req.on('error', reject)
+    if (body && !Buffer.isBuffer(body)) {
+      body.on('error', (err) => req.destroy(err))
+      body.pipe(req)
+    } else {
+      req.end(body)
+    }
+  })
+}
+
+/**
+ * Read a stream to its end and collect its data
+ *
+ * @param {Readable} stream - Stream to read (e.g., a response body)
+ * @returns {Promise<Buffer>} Data of the stream
+ */
+async function readStream (stream) {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Send an HTTP request and collect the response body
+ *
+ * @param {URL} url - Request URL
+ * @param {object} [options] - Request options (see openRequest)
+ * @returns {Promise<object>} Object with the statusCode and body (Buffer) of the response
+ */
+async function sendRequest (url, options) {
+  const { statusCode, body } = await openRequest(url, options)
+  return { statusCode, body: await readStream(body) }
+}
+
+/**
+ * Pack a directory into a temporary archive file to upload it, and remove the file afterwards
+ * The SHA-256 digest of the archive is computed while it is written, so the archive is never held in memory.
+ *
+ * @param {string} dir - Directory to pack
+ * @param {Function} upload - Async function called with the path of the archive file and its manifest
+ *   (size and digest, see writeArchive)
+ * @returns {Promise<*>} Result of the upload function
+ */
+async function withUploadArchive (dir, upload) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-cache-upload-'))
+  try {
+    const archivePath = path.join(tempDir, 'outputs.tar.gz')
+    const manifest = await writeArchive(dir, archivePath, { digestAlgorithm: UPLOAD_DIGEST_ALGORITHM })
+    return await upload(archivePath, manifest)
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Parse the JSON body of a response from a remote cache
+ *
+ * @param {Buffer|null} body - Response body, or null if the resource does not exist
+ * @returns {object|null} Parsed document, or null if the resource does not exist
+ */
+function parseJsonBody (body) {
+  return body ? JSON.parse(body.toString('utf8')) : null
+}
+
+/**
+ * Create a guard that lets a build continue without a remote cache once the cache has failed
+ * The first failure of an operation is logged as a warning, after which the guard is offline and every
+ * operation returns its fallback result without contacting the remote cache.
+ *
+ * @param {object} options - Guard options
+ * @param {string} options.location - Location of the remote cache, used in messages
+ * @param {boolean} [options.fallback=true] - Whether to continue without the cache; if false, failures are thrown
+ * @param {object} [options.logger] - Optional logger instance
+ * @returns {object} Guard with a run(fallbackResult, operation) method and an offline property
+ */
+function createRemoteFallback ({ location, fallback = true, logger }) {
+  let offline = false
+
+  return {
+    get offline () {
+      return offline
+    },
+
+    async run (fallbackResult, operation) {
+      if (offline) return fallbackResult
+      try {
+        return await operation()
+      } catch (err) {
+        if (!fallback) throw err
+        offline = true
+        if (logger) logger.warn(`Remote cache ${location} unavailable (${err.message}) - continuing without it`)
+        return fallbackResult
+      }
+    },
+  }
+}
+
+module.exports = {
+  DEFAULT_HTTP_TIMEOUT,
+  openRequest,
+  readStream,
+  sendRequest,
+  withUploadArchive,
+  parseJsonBody,
+  createRemoteFallback,
+}
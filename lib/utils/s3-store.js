@@ -0,0 +1,248 @@
+'use strict'
+
+const fs = require('fs')
+const crypto = require('crypto')
+const { computeHash } = require('./hash')
+const {
+  DEFAULT_HTTP_TIMEOUT,
+  openRequest,
+  readStream,
+  parseJsonBody,
+  createRemoteFallback,
+  withUploadArchive,
+} = require('./remote')
+const { unpackArchive } = require('./archive')
+
+const DEFAULT_S3_REGION = 'us-east-1'
+
+/**
+ * Compute an HMAC-SHA256 signature, as used to derive the signing key and sign requests
+ *
+ * @param {string|Buffer} key - Secret key
+ * @param {string} content - Content to sign
+ * @returns {Buffer} Signature
+ */
+function hmac (key, content) {
+  return crypto.createHmac('sha256', key).update(content).digest()
+}
+
+/**
+ * Encode a value as required by SigV4 (RFC 3986, also escaping !'()*)
+ *
+ * @param {string} value - Value to encode (e.g., a segment of an object key)
+ * @returns {string} URI-encoded value
+ */
+function uriEncode (value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * Read S3 credentials from the standard AWS environment variables
+ *
+ * @param {object} [env=process.env] - Environment to read the variables from
+ * @returns {object|undefined} Object with accessKeyId, secretAccessKey and sessionToken, or undefined if unset
+ */
+function readS3Credentials (env = process.env) {
+  const { AWS_ACCESS_KEY_ID: accessKeyId, AWS_SECRET_ACCESS_KEY: secretAccessKey, AWS_SESSION_TOKEN } = env
+  if (!accessKeyId || !secretAccessKey) return undefined
+  return { accessKeyId, secretAccessKey, sessionToken: AWS_SESSION_TOKEN || undefined }
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * All given headers are signed, along with host, x-amz-date and x-amz-content-sha256, which are added.
+ *
+ * @param {object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL (its pathname must already be URI-encoded)
+ * @param {object} [request.headers] - Request headers
+ * @param {Buffer|Readable} [request.body] - Request body, held in memory or as a stream
+ * @param {string} [request.payloadHash] - SHA-256 digest of the body, required when the body is streamed
+ * @param {object} credentials - Object with accessKeyId, secretAccessKey and optional sessionToken
+ * @param {string} region - Region of the bucket
+ * @param {Date} [date=new Date()] - Time of the request
+ * @returns {object} Headers to send, including Authorization
+ */
+function signS3Request ({ method, url, headers = {}, body, payloadHash }, credentials, region, date = new Date()) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash || computeHash(body || '', 'sha256'),
+    'x-amz-date': amzDate,
+  }
+  if (credentials.sessionToken) signedHeaders['x-amz-security-token'] = credentials.sessionToken
+
+  const canonicalHeaders = Object.entries(signedHeaders)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+  const signedHeaderNames = canonicalHeaders.map(([name]) => name).join(';')
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => `${uriEncode(name)}=${uriEncode(value)}`)
+    .sort()
+    .join('&')
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    ...canonicalHeaders.map(([name, value]) => `${name}:${value}`),
+    '',
+    signedHeaderNames,
+    signedHeaders['x-amz-content-sha256'],
+  ].join('\n')
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, computeHash(canonicalRequest, 'sha256')].join('\n')
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, amzDate.slice(0, 8)), region)
+  )
+  const signature = hmac(signingKey, stringToSign).toString('hex')
+
+  return {
+    ...signedHeaders,
+    Authorization:
+      `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaderNames}, Signature=${signature}`,
+  }
+}
+
+/**
+ * Read the error code from the XML body of an S3 error response
+ *
+ * @param {Buffer} body - Response body
+ * @returns {string|undefined} Error code (e.g., AccessDenied or ExpiredToken), or undefined if the body has none
+ */
+function readS3ErrorCode (body) {
+  return /<Code>([^<]+)<\/Code>/.exec(body.toString('utf8'))?.[1]
+}
+
+/**
+ * Create a cache store backed by an S3-compatible bucket (e.g., AWS S3 or MinIO)
+ * Objects are laid out like the local cache directory below the prefix: pointers are stored at
+ * `hashes/<component>/<key>/<contentHash>.json` and outputs as a gzip-compressed tar archive at
+ * `outputs/<contentHash>/<outputDir>.tar.gz`. The most recent pointer of each entry is also stored as
+ * `hashes/<component>/<key>/latest.json` to explain cache misses without listing the bucket.
+ * Archives are streamed from a temporary file on upload and extracted as they are downloaded.
+ *
+ * Credentials are read from AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN. When they are
+ * not set, or the bucket cannot be reached, the store logs a warning and, unless the fallback option is
+ * false, acts as an empty cache for the rest of the build, so entries are built locally.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.bucket - Name of the bucket
+ * @param {string} [options.prefix] - Key prefix of the cache objects in the bucket
+ * @param {string} [options.endpoint] - URL of an S3-compatible service (default: AWS S3 for the region)
+ * @param {string} [options.region] - Region of the bucket (default: AWS_REGION, AWS_DEFAULT_REGION or us-east-1)
+ * @param {boolean} [options.pathStyle] - Whether to address the bucket in the path rather than the host name
+ *   (default: true when an endpoint is given)
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for the service before giving up on a request
+ * @param {boolean} [options.fallback=true] - Whether to continue without the cache when the service fails
+ * @param {object} [options.logger] - Optional logger instance
+ * @param {object} [options.env=process.env] - Environment to read the credentials and region from
+ * @returns {object} Cache store
+ */
+function createS3Store ({ bucket, prefix, endpoint, region, pathStyle, timeout, fallback = true, logger, env } = {}) {
+  if (!bucket) throw new Error('The s3 cache store requires a bucket option')
+  env = env || process.env
+  region = region || env.AWS_REGION || env.AWS_DEFAULT_REGION || DEFAULT_S3_REGION
+  if (pathStyle === undefined) pathStyle = Boolean(endpoint)
+  const endpointUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`)
+  if (!pathStyle) endpointUrl.host = `${bucket}.${endpointUrl.host}`
+  const baseUrl = endpointUrl.href.replace(/\/+$/, '') + (pathStyle ? `/${uriEncode(bucket)}` : '')
+  const keyPrefix = (prefix || '').replace(/^\/+|\/+$/g, '')
+  const location = `s3://${bucket}${keyPrefix ? `/${keyPrefix}` : ''}`
+  const requestTimeout = Number(timeout) || DEFAULT_HTTP_TIMEOUT
+  const credentials = readS3Credentials(env)
+  const remote = createRemoteFallback({ location, fallback, logger })
+
+  // Resolves to the response body as a stream, or null if the object does not exist
+  const openObject = async (method, objectKey, { body, headers: requestHeaders, payloadHash } = {}) => {
+    if (!credentials) throw new Error('AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are not set')
+    const key = keyPrefix ? `${keyPrefix}/${objectKey}` : objectKey
+    const url = new URL(`${baseUrl}/${key.split('/').map(uriEncode).join('/')}`)
+    const headers = signS3Request({ method, url, headers: requestHeaders, body, payloadHash }, credentials, region)
+    const { statusCode, body: responseBody } = await openRequest(url, {
+      method,
+      headers,
+      body,
+      timeout: requestTimeout,
+    })
+    if (statusCode >= 200 && statusCode < 300) return responseBody
+    if (statusCode === 404) {
+      responseBody.resume()
+      return null
+    }
+    // Without s3:ListBucket permission, S3 denies reads of missing objects with AccessDenied instead of a 404;
+    // other errors, including 403 errors such as InvalidAccessKeyId or ExpiredToken, are failures
+    const code = readS3ErrorCode(await readStream(responseBody))
+    if (statusCode === 403 && method === 'GET' && code === 'AccessDenied') return null
+    throw new Error(`${method} ${key} returned HTTP ${statusCode}${code ? ` (${code})` : ''}`)
+  }
+
+  const request = async (method, objectKey, options) => {
+    const responseBody = await openObject(method, objectKey, options)
+    return responseBody && readStream(responseBody)
+  }
+
+  const getJson = async (objectKey) => parseJsonBody(await request('GET', objectKey))
+
+  const pointerKey = (componentName, key, name) => `hashes/${componentName}/${key}/${name}.json`
+  const outputsKey = (contentHash, outputDir) => `outputs/${contentHash}/${outputDir}.tar.gz`
+
+  return {
+    name: 's3',
+
+    async getPointer (componentName, key, contentHash) {
+      return remote.run(null, () => getJson(pointerKey(componentName, key, contentHash)))
+    },
+
+    async getLatestPointer (componentName, key) {
+      return remote.run(null, () => getJson(pointerKey(componentName, key, 'latest')))
+    },
+
+    async putPointer (componentName, key, contentHash, pointer) {
+      const body = Buffer.from(JSON.stringify(pointer, null, 2), 'utf8')
+      await remote.run(undefined, async () => {
+        await request('PUT', pointerKey(componentName, key, contentHash), { body })
+        await request('PUT', pointerKey(componentName, key, 'latest'), { body })
+        if (logger) logger.debug(`Uploaded pointer for ${componentName}/${key} to ${location}`)
+      })
+    },
+
+    async hasOutputs (contentHash, outputDir) {
+      // HEAD responses carry no error code, so the first byte is read instead to tell a missing archive apart
+      return remote.run(false, async () => {
+        return (await request('GET', outputsKey(contentHash, outputDir), { headers: { Range: 'bytes=0-0' } })) !== null
+      })
+    },
+
+    async fetchOutputs (contentHash, outputDir, destination) {
+      // Outputs reported by hasOutputs must be restored, so failures are never masked here
+      if (remote.offline) throw new Error(`Remote cache ${location} unavailable`)
+      const archive = await openObject('GET', outputsKey(contentHash, outputDir))
+      if (!archive) throw new Error(`Outputs for ${contentHash} not found in remote cache ${location}`)
+      const fileCount = await unpackArchive(archive, destination)
+      if (logger) logger.debug(`Downloaded ${fileCount} output file(s) for ${contentHash} from ${location}`)
+    },
+
+    async storeOutputs (contentHash, outputDir, source) {
+      await withUploadArchive(source, (archivePath, { size, digest }) =>
+        remote.run(undefined, async () => {
+          await request('PUT', outputsKey(contentHash, outputDir), {
+            body: fs.createReadStream(archivePath),
+            headers: { 'Content-Length': size },
+            payloadHash: digest,
+          })
+          if (logger) logger.debug(`Uploaded outputs for ${contentHash} to ${location} (${size} bytes)`)
+        })
+      )
+    },
+  }
+}
+
+module.exports = {
+  readS3Credentials,
+  signS3Request,
+  createS3Store,
+}
@@ -1,6 +1,9 @@
 'use strict'
 
+const fs = require('fs')
+const path = require('path')
 const { globSync } = require('fast-glob')
+const picomatch = require('picomatch')
 
 /**
  * Check if a pattern contains glob characters
@@ -12,11 +15,103 @@ function isGlobPattern (pattern) {
   return /[*?[\]{}]/.test(pattern)
 }
 
+/**
+ * Check if a source pattern is negated (e.g., `!test/**`)
+ *
+ * @param {string} pattern - Pattern to check
+ * @returns {boolean} True if pattern excludes matching sources
+ */
+function isNegatedPattern (pattern) {
+  return pattern.startsWith('!')
+}
+
+/**
+ * Get the path or pattern of a run.sources entry
+ * Entries are either strings or objects with a `path` and optional `normalize` options.
+ *
+ * @param {string|object} source - Entry of run.sources
+ * @returns {string} Source path or pattern
+ */
+function getSourcePattern (source) {
+  return typeof source === 'string' ? source : source?.path
+}
+
+/**
+ * Create a function that tests whether a source file is selected by a run.sources path or pattern
+ * A directory path selects all files below it.
+ *
+ * @param {string} pattern - Source path, directory or glob pattern
+ * @returns {Function} Function returning true if the relative source path is selected
+ */
+function createSourceMatcher (pattern) {
+  const normalized = pattern.replace(/^\.\//, '')
+  const isMatch = picomatch(normalized, { dot: true })
+  const dirPrefix = `${normalized.replace(/\/+$/, '')}/`
+  return (source) => {
+    const relative = source.replace(/^\.\//, '')
+    return isMatch(relative) || relative.startsWith(dirPrefix)
+  }
+}
+
+/**
+ * Check whether a source path or pattern may select files below a directory
+ * Besides paths and patterns inside the directory, this includes directories and glob patterns above it,
+ * which may descend into it (e.g., `vendor` or `**\/*.h` for `vendor/sdk`).
+ *
+ * @param {string} pattern - Source path, directory or glob pattern
+ * @param {string} dir - Directory path relative to the worktree
+ * @returns {boolean} True if the pattern may select files below the directory
+ */
+function mayReadFromDirectory (pattern, dir) {
+  const normalize = (value) => value.replace(/^\.\//, '').replace(/\/+$/, '').replace(/^\.$/, '')
+  const target = normalize(dir)
+  const base = normalize(isGlobPattern(pattern) ? picomatch.scan(normalize(pattern)).base : pattern)
+  return !base || base === target || base.startsWith(`${target}/`) || target.startsWith(`${base}/`)
+}
+
+/**
+ * Combine source patterns with exclusion patterns from run.sources-exclude
+ * Exclusions are appended as negated patterns so they travel with the sources (e.g., through dependencies).
+ *
+ * @param {Array<string|object>} sources - Array of source paths, glob patterns, negated patterns or source objects
+ * @param {string[]} [sourcesExclude] - Array of glob patterns for sources to exclude
+ * @returns {string[]} Array of source patterns including negated exclusion patterns
+ */
+function buildSourcePatterns (sources, sourcesExclude) {
+  const patterns = sources.map(getSourcePattern).filter(Boolean)
+  if (!sourcesExclude || !Array.isArray(sourcesExclude) || sourcesExclude.length === 0) return patterns
+  return [...patterns, ...sourcesExclude.map((pattern) => (isNegatedPattern(pattern) ? pattern : `!${pattern}`))]
+}
+
+/**
+ * Remove sources matching any negated pattern
+ * Like a source path, an excluded directory path excludes all files below it.
+ *
+ * @param {string[]} sources - Array of source file paths
+ * @param {string[]} patterns - Array of source patterns; only negated patterns are considered
+ * @param {object} [logger] - Optional logger instance
+ * @returns {string[]} Array of source file paths that are not excluded
+ */
+function filterExcludedSources (sources, patterns, logger) {
+  const excludePatterns = patterns.filter(isNegatedPattern).map((pattern) => pattern.slice(1))
+  if (excludePatterns.length === 0) return sources
+
+  const excludeMatchers = excludePatterns.map(createSourceMatcher)
+  const included = sources.filter((source) => !excludeMatchers.some((isExcluded) => isExcluded(source)))
+
+  if (logger && included.length < sources.length) {
+    logger.debug(`  Excluded ${sources.length - included.length} source(s)`)
+  }
+
+  return included
+}
+
 /**
  * Expand glob patterns in source paths
+ * Negated patterns (prefixed with `!`) remove matching paths from the result.
  *
  * @param {string} worktree - Path to the worktree directory
- * @param {string[]} sources - Array of source paths (may contain globs)
+ * @param {string[]} sources - Array of source paths (may contain globs and negated patterns)
  * @param {object} [logger] - Optional logger instance
  * @returns {string[]} Array of expanded source file paths
  */
@@ -24,6 +119,7 @@ function expandGlobPatterns (worktree, sources, logger) {
   const expanded = []
 
   for (const source of sources) {
+    if (isNegatedPattern(source)) continue
     if (isGlobPattern(source)) {
       const matches = globSync(source, {
         cwd: worktree,
@@ -39,24 +135,179 @@ function expandGlobPatterns (worktree, sources, logger) {
     }
   }
 
+  return filterExcludedSources(expanded, sources, logger)
+}
+
+/**
+ * Recursively list the files in a directory of the worktree
+ * The .git directory is always skipped. Symlinks are included only if they point to a file.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string} dir - Directory path relative to the worktree
+ * @param {object} [options] - Optional settings
+ * @param {boolean} [options.gitignore=false] - Skip files and directories ignored by .gitignore or .git/info/exclude
+ * @returns {Promise<string[]>} Sorted array of file paths relative to the worktree
+ */
+async function listDirectoryFiles (worktree, dir, { gitignore = false } = {}) {
+  const git = require('isomorphic-git')
+  const files = []
+
+  const walk = async (relativeDir) => {
+    const entries = fs.readdirSync(path.join(worktree, relativeDir), { withFileTypes: true })
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+
+    for (const entry of entries) {
+      if (entry.name === '.git') continue
+      const relativePath = path.posix.join(relativeDir, entry.name)
+      const isDirectory = entry.isDirectory()
+
+      // Directory patterns in .gitignore (e.g., `build/`) only match paths with a trailing slash
+      if (gitignore) {
+        const filepath = isDirectory ? `${relativePath}/` : relativePath
+        if (await git.isIgnored({ fs, dir: worktree, filepath })) continue
+      }
+
+      if (isDirectory) {
+        await walk(relativePath)
+      } else if (entry.isFile()) {
+        files.push(relativePath)
+      } else if (entry.isSymbolicLink()) {
+        const target = fs.statSync(path.join(worktree, relativePath), { throwIfNoEntry: false })
+        if (target && target.isFile()) files.push(relativePath)
+      }
+    }
+  }
+
+  await walk(dir.replace(/\/+$/, ''))
+  return files
+}
+
+/**
+ * Replace directory sources with the files they contain
+ * Paths that are not directories (including missing files) are passed through unchanged.
+ *
+ * @param {string} worktree - Path to the worktree directory
+ * @param {string[]} sources - Array of source paths
+ * @param {string[]} patterns - Array of source patterns whose negated patterns apply to directory contents
+ * @param {object} [options] - Optional settings
+ * @param {boolean} [options.gitignore=false] - Skip files ignored by .gitignore or .git/info/exclude
+ * @param {object} [logger] - Optional logger instance
+ * @returns {Promise<string[]>} Array of source file paths
+ */
+async function expandDirectorySources (worktree, sources, patterns, options = {}, logger) {
+  const expanded = []
+
+  for (const source of sources) {
+    const stat = fs.statSync(path.join(worktree, source), { throwIfNoEntry: false })
+    if (!stat || !stat.isDirectory()) {
+      expanded.push(source)
+      continue
+    }
+
+    const files = filterExcludedSources(await listDirectoryFiles(worktree, source, options), patterns, logger)
+    if (logger) {
+      logger.debug(
+        `  Directory "${source}" contains ${files.length} file(s)${options.gitignore ? ' (honoring .gitignore)' : ''}`
+      )
+    }
+    expanded.push(...files)
+  }
+
   return expanded
 }
 
+/**
+ * Resolve sources that live outside the worktree (run.external-sources)
+ * Paths and patterns are relative to the base directory (playbook.dir) or absolute. Directories are
+ * expanded and negated patterns exclude files. Files inside the base directory are returned relative
+ * to it; files outside are returned as absolute paths.
+ *
+ * @param {string} baseDir - Directory relative paths are resolved from
+ * @param {string[]} patterns - Array of paths, directories or glob patterns (may be negated)
+ * @param {object} [logger] - Optional logger instance
+ * @returns {Promise<string[]>} Array of external source file paths
+ */
+async function resolveExternalSources (baseDir, patterns, logger) {
+  // Make absolute patterns relative so the worktree helpers can resolve them from the base directory
+  const relativePatterns = patterns.map((pattern) => {
+    const negated = isNegatedPattern(pattern)
+    const target = negated ? pattern.slice(1) : pattern
+    const relative = path.isAbsolute(target) ? path.relative(baseDir, target) : target
+    return negated ? `!${relative}` : relative
+  })
+
+  const files = await expandDirectorySources(
+    baseDir,
+    expandGlobPatterns(baseDir, relativePatterns, logger),
+    relativePatterns,
+    {},
+    logger
+  )
+
+  const externalSources = files.map((file) => {
+    const normalized = path.posix.normalize(file)
+    return normalized.startsWith('../') ? path.resolve(baseDir, normalized) : normalized
+  })
+
+  return [...new Set(externalSources)]
+}
+
+/**
+ * Run a shell command and capture its standard output
+ *
+ * @param {string} command - Shell command to run
+ * @param {string} cwd - Working directory for the command
+ * @returns {Promise<string>} Standard output of the command
+ * @throws {Error} If the command cannot be spawned or exits with a non-zero code
+ */
+function runCommand (command, cwd) {
+  const { spawn } = require('child_process')
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn('sh', ['-c', command], { cwd })
+    let stdout = ''
+    let stderr = ''
+
+    proc.stdout.on('data', (data) => {
+      stdout += data
+    })
+    proc.stderr.on('data', (data) => {
+      stderr += data
+    })
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout)
+      } else {
+        reject(new Error(`Command exited with code ${code}: ${stderr}`))
+      }
+    })
+
+    proc.on('error', (err) => {
+      reject(err)
+    })
+  })
+}
+
 /**
  * Resolve source files by running sourceCommands and combining with static sources
+ * Negated patterns in staticSources also apply to the paths reported by sourceCommands.
+ * Directories are expanded recursively into the files they contain.
  *
  * @param {string} worktree - Path to the worktree directory
- * @param {string[]} staticSources - Array of static source file paths or glob patterns
+ * @param {string[]} staticSources - Array of static source file paths, glob patterns or negated patterns
  * @param {string[]} sourceCommands - Array of shell commands that output source paths
  * @param {object} [logger] - Optional logger instance
  * @param {string} [componentName] - Optional component name for logging
  * @param {string} [key] - Optional entry key for logging
+ * @param {object} [options] - Optional settings
+ * @param {boolean} [options.gitignore=false] - Skip files in directory sources ignored by .gitignore
  * @returns {Promise<string[]>} Array of resolved source file paths
  */
-async function resolveSources (worktree, staticSources, sourceCommands, logger, componentName, key) {
-  // Expand glob patterns in static sources
+async function resolveSources (worktree, staticSources, sourceCommands, logger, componentName, key, options = {}) {
+  // Expand glob patterns and directories in static sources
   const expandedSources = expandGlobPatterns(worktree, staticSources, logger)
-  const sourcesSet = new Set(expandedSources)
+  const sourcesSet = new Set(await expandDirectorySources(worktree, expandedSources, staticSources, options, logger))
 
   // If no sourceCommands, just return static sources
   if (!sourceCommands || !Array.isArray(sourceCommands) || sourceCommands.length === 0) {
@@ -67,36 +318,11 @@ async function resolveSources (worktree, staticSources, sourceCommands, logger,
     logger.debug(`Resolving dynamic sources for ${componentName}/${key}`)
   }
 
-  const { spawn } = require('child_process')
-
   for (const command of sourceCommands) {
     try {
       if (logger) logger.debug(`  Running: ${command}`)
 
-      const output = await new Promise((resolve, reject) => {
-        const proc = spawn('sh', ['-c', command], { cwd: worktree })
-        let stdout = ''
-        let stderr = ''
-
-        proc.stdout.on('data', (data) => {
-          stdout += data
-        })
-        proc.stderr.on('data', (data) => {
-          stderr += data
-        })
-
-        proc.on('close', (code) => {
-          if (code === 0) {
-            resolve(stdout)
-          } else {
-            reject(new Error(`Command exited with code ${code}: ${stderr}`))
-          }
-        })
-
-        proc.on('error', (err) => {
-          reject(err)
-        })
-      })
+      const output = await runCommand(command, worktree)
 
       // Parse output (newline-separated paths)
       const paths = output
@@ -105,7 +331,19 @@ async function resolveSources (worktree, staticSources, sourceCommands, logger,
         .filter((line) => line.trim().length > 0)
 
       if (logger) logger.debug(`  Found ${paths.length} source(s)`)
-      paths.forEach((p) => sourcesSet.add(p.trim()))
+      const commandSources = filterExcludedSources(
+        paths.map((p) => p.trim()),
+        staticSources,
+        logger
+      )
+      const expandedCommandSources = await expandDirectorySources(
+        worktree,
+        commandSources,
+        staticSources,
+        options,
+        logger
+      )
+      expandedCommandSources.forEach((p) => sourcesSet.add(p))
     } catch (err) {
       if (logger) {
         logger.warn(`Failed to run sourceCommand "${command}" for ${componentName}/${key}: ${err.message}`)
@@ -121,81 +359,6 @@ async function resolveSources (worktree, staticSources, sourceCommands, logger,
   return resolvedSources
 }
 
-/**
- * Resolve sources from dependencies recursively
- *
- * @param {Map} entriesMap - Map of key -> entry config for looking up dependencies
- * @param {string[]} dependsOn - Array of dependency keys
- * @param {Set} visited - Set of visited keys to detect circular dependencies
- * @param {object} [logger] - Optional logger instance
- * @param {string} [componentName] - Optional component name for logging
- * @param {string} [key] - Optional current entry key for logging
- * @returns {object} Object with sources and sourceCommands arrays from all dependencies
- */
-function resolveDependencySources (entriesMap, dependsOn, visited, logger, componentName, key) {
-  const allSources = []
-  const allSourceCommands = []
-
-  if (!dependsOn || !Array.isArray(dependsOn) || dependsOn.length === 0) {
-    return { sources: allSources, sourceCommands: allSourceCommands }
-  }
-
-  if (logger && componentName && key) {
-    logger.debug(`Resolving dependencies for ${componentName}/${key}: ${dependsOn.join(', ')}`)
-  }
-
-  for (const depKey of dependsOn) {
-    // Check for circular dependency
-    if (visited.has(depKey)) {
-      if (logger) logger.warn(`Circular dependency detected: ${key} -> ${depKey}`)
-      continue
-    }
-
-    // Find the dependency entry
-    const depEntry = entriesMap.get(depKey)
-    if (!depEntry) {
-      if (logger) logger.warn(`Dependency not found: ${depKey} (required by ${key})`)
-      continue
-    }
-
-    // Mark as visited
-    const newVisited = new Set(visited)
-    newVisited.add(depKey)
-
-    // Add dependency's sources
-    if (depEntry.sources) {
-      allSources.push(...depEntry.sources)
-    }
-
-    // Add dependency's sourceCommands
-    if (depEntry.sourceCommands) {
-      allSourceCommands.push(...depEntry.sourceCommands)
-    }
-
-    // Recursively resolve the dependency's dependencies
-    if (depEntry.dependsOn && depEntry.dependsOn.length > 0) {
-      const recursive = resolveDependencySources(
-        entriesMap,
-        depEntry.dependsOn,
-        newVisited,
-        logger,
-        componentName,
-        depKey
-      )
-      allSources.push(...recursive.sources)
-      allSourceCommands.push(...recursive.sourceCommands)
-    }
-  }
-
-  if (logger && componentName && key) {
-    logger.debug(
-      `Resolved ${allSources.length} sources and ${allSourceCommands.length} sourceCommands from dependencies`
-    )
-  }
-
-  return { sources: allSources, sourceCommands: allSourceCommands }
-}
-
 /**
  * Build entries map for dependency resolution from config entries
  *
@@ -209,7 +372,8 @@ function buildEntriesMap (entries) {
     if (run && run.key) {
       entriesMap.set(run.key, {
         key: run.key,
-        sources: run.sources || [],
+        run,
+        sources: buildSourcePatterns(run.sources || [], run.sourcesexclude || run.sourcesExclude),
         sourceCommands: run.sourcecommands || run.sourceCommands || [],
         dependsOn: run.dependson || run.dependsOn || [],
       })
@@ -220,8 +384,17 @@ function buildEntriesMap (entries) {
 
 module.exports = {
   isGlobPattern,
+  isNegatedPattern,
+  getSourcePattern,
+  createSourceMatcher,
+  mayReadFromDirectory,
+  buildSourcePatterns,
+  filterExcludedSources,
   expandGlobPatterns,
+  listDirectoryFiles,
+  expandDirectorySources,
+  resolveExternalSources,
+  runCommand,
   resolveSources,
-  resolveDependencySources,
   buildEntriesMap,
 }
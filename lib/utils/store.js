@@ -0,0 +1,258 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { getArchiveCompression, writeArchive, extractArchive } = require('./archive')
+const { checkOutputsExist, copyDirectory, resolveModulePath } = require('./fs')
+const { loadPointerFile, findLatestPointer, savePointerFile } = require('./cache')
+const { createHttpStore } = require('./http-store')
+const { createS3Store } = require('./s3-store')
+
+/**
+ * Operations every cache store must implement
+ * Stores may also implement getLatestPointer(componentName, key), which is used to explain cache misses,
+ * and close(), which is awaited at the end of the build to finish pending work.
+ */
+const STORE_METHODS = ['getPointer', 'putPointer', 'hasOutputs', 'fetchOutputs', 'storeOutputs']
+
+/**
+ * Create the default cache store, which keeps pointers and outputs in the local cache directory
+ * Pointers are stored at `hashes/<component>/<key>/<contentHash>.json` and outputs at
+ * `outputs/<contentHash>/<outputDir>`. With the archive option, outputs are stored as a single compressed
+ * tar archive next to a manifest, at `outputs/<contentHash>/<outputDir>.tar.gz` (or `.tar.br`) and
+ * `outputs/<contentHash>/<outputDir>.manifest.json`. Outputs stored either way are fetched, so the option
+ * can be changed without invalidating the cache.
+ *
+ * @param {object} options - Store options
+ * @param {string} options.dir - Cache directory
+ * @param {string|boolean} [options.archive] - Compression of output archives ('gzip' or 'brotli'; true for gzip);
+ *   outputs are stored as directories if not set
+ * @param {object} [options.logger] - Optional logger instance
+ * @returns {object} Cache store
+ * @throws {Error} If the archive compression is not supported
+ */
+function createLocalStore ({ dir, archive, logger }) {
+  const compression = archive === true ? 'gzip' : archive || undefined
+  if (compression) getArchiveCompression(compression)
+
+  const getPointerPath = (componentName, key, contentHash) =>
+    path.join(dir, 'hashes', componentName, key, `${contentHash}.json`)
+  const getOutputPath = (contentHash, outputDir) => path.join(dir, 'outputs', contentHash, outputDir)
+  const getManifestPath = (contentHash, outputDir) => `${getOutputPath(contentHash, outputDir)}.manifest.json`
+  const getArchivePath = (contentHash, outputDir, manifest) =>
+    path.join(path.dirname(getOutputPath(contentHash, outputDir)), manifest.archive)
+
+  // Read the manifest of archived outputs, if the outputs were stored as an archive
+  const readManifest = (contentHash, outputDir) => {
+    const manifestPath = getManifestPath(contentHash, outputDir)
+    if (!fs.existsSync(manifestPath)) return null
+    try {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    } catch (err) {
+      if (logger) logger.warn(`Failed to read archive manifest ${manifestPath}: ${err.message}`)
+      return null
+    }
+  }
+
+  return {
+    name: 'local',
+
+    async getPointer (componentName, key, contentHash) {
+      return loadPointerFile(getPointerPath(componentName, key, contentHash), logger)
+    },
+
+    async getLatestPointer (componentName, key) {
+      return findLatestPointer(path.join(dir, 'hashes', componentName, key), logger)
+    },
+
+    async putPointer (componentName, key, contentHash, pointer) {
+      savePointerFile(getPointerPath(componentName, key, contentHash), pointer, logger)
+    },
+
+    async hasOutputs (contentHash, outputDir) {
+      const manifest = readManifest(contentHash, outputDir)
+      if (manifest) return fs.existsSync(getArchivePath(contentHash, outputDir, manifest))
+      return checkOutputsExist(getOutputPath(contentHash, outputDir), logger)
+    },
+
+    async fetchOutputs (contentHash, outputDir, destination) {
+      const manifest = readManifest(contentHash, outputDir)
+      if (!manifest) return copyDirectory(getOutputPath(contentHash, outputDir), destination, logger)
+
+      const archivePath = getArchivePath(contentHash, outputDir, manifest)
+      const fileCount = await extractArchive(archivePath, destination, { compression: manifest.compression })
+      if (fileCount !== manifest.files.length) {
+        throw new Error(`Archive ${archivePath} contains ${fileCount} of ${manifest.files.length} files`)
+      }
+      if (logger) logger.debug(`Extracted ${fileCount} file(s) from ${archivePath}`)
+    },
+
+    async storeOutputs (contentHash, outputDir, source) {
+      const outputPath = getOutputPath(contentHash, outputDir)
+      if (!compression) return copyDirectory(source, outputPath, logger)
+
+      // The manifest is written last, so it is only present once the archive is complete
+      const archivePath = outputPath + getArchiveCompression(compression).extension
+      const manifestPath = getManifestPath(contentHash, outputDir)
+      fs.rmSync(manifestPath, { force: true })
+      const manifest = await writeArchive(source, archivePath, { compression })
+      fs.writeFileSync(manifestPath, JSON.stringify({ archive: path.basename(archivePath), ...manifest }, null, 2))
+      if (logger) logger.debug(`Archived ${manifest.files.length} file(s) to ${archivePath} (${manifest.size} bytes)`)
+    },
+  }
+}
+
+/**
+ * Create a cache store that combines a local and a remote store
+ * Reads go to the local tier first; entries found only in the remote tier are copied to the local tier
+ * (read-through). Writes go to the local tier, then to the remote tier (write-back), either before the
+ * operation returns or, with the background option, queued until the store is closed. Queued uploads run
+ * in order, and the pointer of outputs that failed to upload is not uploaded.
+ *
+ * @param {object} options - Store options
+ * @param {object} options.local - Local tier (a cache store)
+ * @param {object} options.remote - Remote tier (a cache store)
+ * @param {boolean} [options.background=false] - Whether to upload to the remote tier in the background
+ * @param {object} [options.logger] - Optional logger instance
+ * @returns {object} Cache store
+ */
+function createTieredStore ({ local, remote, background = false, logger }) {
+  const hits = { local: 0, remote: 0 }
+  const failedUploads = new Set()
+  let uploads = Promise.resolve()
+
+  const upload = async (contentHash, operation) => {
+    if (!background) return operation()
+    uploads = uploads.then(operation).catch((err) => {
+      failedUploads.add(contentHash)
+      if (logger) logger.warn(`Failed to upload ${contentHash} to the remote cache: ${err.message}`)
+    })
+  }
+
+  return {
+    name: `tiered (${local.name || 'local'} + ${remote.name || 'remote'})`,
+
+    async getPointer (componentName, key, contentHash) {
+      const pointer = await local.getPointer(componentName, key, contentHash)
+      if (pointer) return pointer
+      const remotePointer = await remote.getPointer(componentName, key, contentHash)
+      if (remotePointer) await local.putPointer(componentName, key, contentHash, remotePointer)
+      return remotePointer
+    },
+
+    async getLatestPointer (componentName, key) {
+      const pointer = local.getLatestPointer ? await local.getLatestPointer(componentName, key) : null
+      if (pointer || !remote.getLatestPointer) return pointer
+      return remote.getLatestPointer(componentName, key)
+    },
+
+    async putPointer (componentName, key, contentHash, pointer) {
+      await local.putPointer(componentName, key, contentHash, pointer)
+      await upload(contentHash, async () => {
+        if (!failedUploads.has(contentHash)) await remote.putPointer(componentName, key, contentHash, pointer)
+      })
+    },
+
+    async hasOutputs (contentHash, outputDir) {
+      return (await local.hasOutputs(contentHash, outputDir)) || remote.hasOutputs(contentHash, outputDir)
+    },
+
+    async fetchOutputs (contentHash, outputDir, destination) {
+      if (await local.hasOutputs(contentHash, outputDir)) {
+        await local.fetchOutputs(contentHash, outputDir, destination)
+        hits.local++
+        return
+      }
+      await remote.fetchOutputs(contentHash, outputDir, destination)
+      await local.storeOutputs(contentHash, outputDir, destination)
+      hits.remote++
+      if (logger) logger.debug(`Copied outputs for ${contentHash} from the remote to the local cache`)
+    },
+
+    async storeOutputs (contentHash, outputDir, source) {
+      await local.storeOutputs(contentHash, outputDir, source)
+      await upload(contentHash, () => remote.storeOutputs(contentHash, outputDir, source))
+    },
+
+    async close () {
+      if (logger) logger.info(`Cache hits by tier: ${hits.local} local, ${hits.remote} remote`)
+      await uploads
+      if (local.close) await local.close()
+      if (remote.close) await remote.close()
+    },
+  }
+}
+
+/**
+ * Stores that can be selected by name instead of by module
+ */
+const BUILT_IN_STORES = {
+  local: createLocalStore,
+  http: createHttpStore,
+  s3: createS3Store,
+}
+
+/**
+ * Create the cache store selected in the playbook
+ * The store is given as a name or module path, or as an object with a `require` property and the options
+ * passed to the store. A store module exports a function (or an object with a `createStore` function) that
+ * receives the options, including the local cache `dir` (which the `dir` option overrides) and a `logger`,
+ * and returns the store.
+ * Module paths starting with `.` are resolved from the playbook directory; other names are resolved as packages.
+ * The built-in tiered store takes the configurations of its tiers in the `local` and `remote` options.
+ *
+ * @param {string|object} [storeConfig] - Store name, module path, or object with `require` and store options
+ * @param {object} context - Build context
+ * @param {string} context.playbookDir - Playbook directory
+ * @param {string} context.cacheDir - Local cache directory
+ * @param {object} [context.logger] - Optional logger instance
+ * @returns {object} Cache store (local store if none is configured)
+ * @throws {Error} If the store module is invalid or the store lacks a required operation
+ */
+function loadCacheStore (storeConfig, { playbookDir, cacheDir, logger }) {
+  const { require: request = 'local', ...options } =
+    typeof storeConfig === 'string' ? { require: storeConfig } : storeConfig || {}
+
+  const dir = path.resolve(playbookDir, options.dir || cacheDir)
+
+  let store
+  if (request === 'tiered') {
+    // The tiers are configured like stores themselves; the dir option applies to the local tier
+    const { local = 'local', remote, ...tieredOptions } = options
+    if (!remote) throw new Error('The tiered cache store requires a remote option')
+    const tierContext = { playbookDir, cacheDir: dir, logger }
+    store = createTieredStore({
+      ...tieredOptions,
+      local: loadCacheStore(local, tierContext),
+      remote: loadCacheStore(remote, tierContext),
+      logger,
+    })
+  } else {
+    let createStore = BUILT_IN_STORES[request]
+    if (!createStore) {
+      const exported = require(resolveModulePath(request, playbookDir))
+      createStore = typeof exported === 'function' ? exported : exported?.createStore
+      if (typeof createStore !== 'function') {
+        throw new Error(
+          `Cache store module "${request}" must export a function or an object with a createStore function`
+        )
+      }
+    }
+    store = createStore({ ...options, dir, logger })
+  }
+
+  const missingMethods = STORE_METHODS.filter((method) => typeof store?.[method] !== 'function')
+  if (missingMethods.length > 0) {
+    throw new Error(`Cache store "${request}" does not implement ${missingMethods.join(', ')}`)
+  }
+  if (logger) logger.debug(`Using cache store: ${store.name || request}`)
+
+  return store
+}
+
+module.exports = {
+  STORE_METHODS,
+  createLocalStore,
+  createTieredStore,
+  loadCacheStore,
+}
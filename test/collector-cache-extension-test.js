@@ -1,7 +1,7 @@
 /* eslint-env mocha */
 'use strict'
 
-const { expect, cleanDir, spy } = require('./harness')
+const { expect, cleanDir, spy, startHttpCacheServer } = require('./harness')
 const { name: packageName } = require('#package')
 const fs = require('fs')
 const os = require('os')
@@ -9,6 +9,8 @@ const ospath = require('node:path')
 const crypto = require('crypto')
 const { EventEmitter } = require('events')
 const proxyquire = require('proxyquire')
+const { KEY_VERSION, computeContentHash, computeGitBlobId } = require('../lib/utils/hash')
+const { buildKeyInputs } = require('../lib/utils/key')
 
 describe('collector-cache-extension', () => {
   const ext = require(packageName)
@@ -90,6 +92,10 @@ describe('collector-cache-extension', () => {
 
   const computeFileHash = (content) => crypto.createHash('sha256').update(content).digest('hex')
 
+  // Content hash the extension derives for an entry (run defaults to the command used throughout these tests)
+  const computeEntryContentHash = (sourceHashes, run = { command: 'echo "building"' }) =>
+    computeContentHash(sourceHashes, buildKeyInputs(run))
+
   let generatorContext
   let workDir
   let playbookDir
@@ -123,6 +129,7 @@ describe('collector-cache-extension', () => {
       ext.register.call(generatorContext, { playbook })
       expect(generatorContext.contentAggregated).to.be.instanceOf(Function)
       expect(generatorContext.beforePublish).to.be.instanceOf(Function)
+      expect(generatorContext.sitePublished).to.be.instanceOf(Function)
     })
   })
 
@@ -348,7 +355,7 @@ describe('collector-cache-extension', () => {
 
         // Compute expected hash
         const sourceHash = computeFileHash(sourceContent)
-        const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+        const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
         // Create cache structure
         const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -358,6 +365,7 @@ describe('collector-cache-extension', () => {
 
         // Create pointer file
         const pointer = {
+          keyVersion: KEY_VERSION,
           outputDir: contentHash,
           scanDir: 'build/output',
           sources: { 'src/main.c': sourceHash },
@@ -551,7 +559,7 @@ describe('collector-cache-extension', () => {
 
         // Set up cache that would normally HIT
         const sourceHash = computeFileHash(sourceContent)
-        const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+        const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
         const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
         const outputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', contentHash, 'build/output')
@@ -559,6 +567,7 @@ describe('collector-cache-extension', () => {
         fs.mkdirSync(outputDir, { recursive: true })
 
         const pointer = {
+          keyVersion: KEY_VERSION,
           outputDir: contentHash,
           scanDir: 'build/output',
           sources: { 'src/main.c': sourceHash },
@@ -738,7 +747,7 @@ describe('collector-cache-extension', () => {
 
       // Set up cache HIT
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
       const outputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', contentHash, 'build/output')
@@ -746,6 +755,7 @@ describe('collector-cache-extension', () => {
       fs.mkdirSync(outputDir, { recursive: true })
 
       const pointer = {
+        keyVersion: KEY_VERSION,
         outputDir: contentHash,
         scanDir: 'build/output',
         sources: { 'src/main.c': sourceHash },
@@ -913,7 +923,7 @@ describe('collector-cache-extension', () => {
 
       // Compute expected hash
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create cache structure with files to restore
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -923,6 +933,7 @@ describe('collector-cache-extension', () => {
 
       // Create pointer file
       const pointer = {
+        keyVersion: KEY_VERSION,
         outputDir: contentHash,
         scanDir: 'build/output',
         sources: { 'src/main.c': sourceHash },
@@ -980,14 +991,19 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
       const outputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', contentHash, 'build/output')
       fs.mkdirSync(hashDir, { recursive: true })
       fs.mkdirSync(outputDir, { recursive: true })
 
-      const pointer = { outputDir: contentHash, scanDir: 'build/output', sources: { 'src/main.c': sourceHash } }
+      const pointer = {
+        keyVersion: KEY_VERSION,
+        outputDir: contentHash,
+        scanDir: 'build/output',
+        sources: { 'src/main.c': sourceHash },
+      }
       fs.writeFileSync(ospath.join(hashDir, `${contentHash}.json`), JSON.stringify(pointer), 'utf8')
       createSourceFile(outputDir, 'result.txt', 'output')
 
@@ -1034,7 +1050,7 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create invalid pointer file
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -1079,7 +1095,7 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create cache structure with empty output directory
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -1087,7 +1103,12 @@ describe('collector-cache-extension', () => {
       fs.mkdirSync(hashDir, { recursive: true })
       fs.mkdirSync(outputDir, { recursive: true }) // Empty directory
 
-      const pointer = { outputDir: contentHash, scanDir: 'build/output', sources: { 'src/main.c': sourceHash } }
+      const pointer = {
+        keyVersion: KEY_VERSION,
+        outputDir: contentHash,
+        scanDir: 'build/output',
+        sources: { 'src/main.c': sourceHash },
+      }
       fs.writeFileSync(ospath.join(hashDir, `${contentHash}.json`), JSON.stringify(pointer), 'utf8')
 
       const contentAggregate = [
@@ -1131,7 +1152,7 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create cache structure where output path is a file
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -1141,7 +1162,12 @@ describe('collector-cache-extension', () => {
       // Create a file where directory is expected
       fs.writeFileSync(ospath.join(outputParent, 'build'), 'this is a file', 'utf8')
 
-      const pointer = { outputDir: contentHash, scanDir: 'build/output', sources: { 'src/main.c': sourceHash } }
+      const pointer = {
+        keyVersion: KEY_VERSION,
+        outputDir: contentHash,
+        scanDir: 'build/output',
+        sources: { 'src/main.c': sourceHash },
+      }
       fs.writeFileSync(ospath.join(hashDir, `${contentHash}.json`), JSON.stringify(pointer), 'utf8')
 
       const contentAggregate = [
@@ -1183,7 +1209,7 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create cache structure with nested empty directories
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -1191,7 +1217,12 @@ describe('collector-cache-extension', () => {
       fs.mkdirSync(hashDir, { recursive: true })
       fs.mkdirSync(ospath.join(outputDir, 'subdir/nested'), { recursive: true }) // Nested empty dirs
 
-      const pointer = { outputDir: contentHash, scanDir: 'build/output', sources: { 'src/main.c': sourceHash } }
+      const pointer = {
+        keyVersion: KEY_VERSION,
+        outputDir: contentHash,
+        scanDir: 'build/output',
+        sources: { 'src/main.c': sourceHash },
+      }
       fs.writeFileSync(ospath.join(hashDir, `${contentHash}.json`), JSON.stringify(pointer), 'utf8')
 
       const contentAggregate = [
@@ -1333,7 +1364,7 @@ describe('collector-cache-extension', () => {
 
       // Pre-create cache with old content
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
       const existingCacheDir = ospath.join(
         playbookDir,
         '.cache/antora/collector-cache/outputs',
@@ -1505,14 +1536,19 @@ describe('collector-cache-extension', () => {
       createSourceFile(worktreeDir, 'src/main.c', sourceContent)
 
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
       const outputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', contentHash, 'build/output')
       fs.mkdirSync(hashDir, { recursive: true })
       fs.mkdirSync(outputDir, { recursive: true })
 
-      const pointer = { outputDir: contentHash, scanDir: 'build/output', sources: { 'src/main.c': sourceHash } }
+      const pointer = {
+        keyVersion: KEY_VERSION,
+        outputDir: contentHash,
+        scanDir: 'build/output',
+        sources: { 'src/main.c': sourceHash },
+      }
       fs.writeFileSync(ospath.join(hashDir, `${contentHash}.json`), JSON.stringify(pointer), 'utf8')
       createSourceFile(outputDir, 'generated.h', '#pragma once')
 
@@ -3107,6 +3143,9 @@ describe('collector-cache-extension', () => {
       const extWithThrowingHash = proxyquire('../lib/collector-cache-extension', {
         './utils/hash': {
           computeHashes: () => ({ 'src/main.c': 'abc123' }),
+          validateHashAlgorithm: (algorithm) => algorithm,
+          computeHash: () => 'worktree-hash',
+          MISSING_SOURCE_POLICIES: ['miss', 'error', 'ignore'],
           computeContentHash: () => {
             throw mockError
           },
@@ -3156,14 +3195,17 @@ describe('collector-cache-extension', () => {
     })
 
     it('should handle error during beforePublish cache update', async () => {
-      // Use proxyquire to mock copyDirectory to throw
+      // Use proxyquire to mock a cache store that fails to store outputs
       const mockError = new Error('Copy failed: permission denied')
+      const { createLocalStore } = require('../lib/utils/store')
       const extWithThrowingCopy = proxyquire('../lib/collector-cache-extension', {
-        './utils/fs': {
-          checkOutputsExist: () => false,
-          copyDirectory: () => {
-            throw mockError
-          },
+        './utils/store': {
+          loadCacheStore: (storeConfig, { cacheDir }) => ({
+            ...createLocalStore({ dir: cacheDir }),
+            storeOutputs: async () => {
+              throw mockError
+            },
+          }),
           '@noCallThru': true,
         },
       })
@@ -3452,7 +3494,7 @@ describe('collector-cache-extension', () => {
 
       // Compute expected hash
       const sourceHash = computeFileHash(sourceContent)
-      const contentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash })
 
       // Create cache structure
       const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
@@ -3462,6 +3504,7 @@ describe('collector-cache-extension', () => {
 
       // Create pointer file
       const pointer = {
+        keyVersion: KEY_VERSION,
         outputDir: contentHash,
         scanDir: 'build/output',
         sources: { 'src/main.c': sourceHash },
@@ -3599,4 +3642,1084 @@ describe('collector-cache-extension', () => {
       expect(scanDir).to.not.include('.cache', 'Scan should point to worktree, not cache directory')
     })
   })
+
+  describe('cache key inputs', () => {
+    const createContentAggregate = (run) => [
+      {
+        name: 'test-component',
+        origins: [
+          {
+            descriptor: {
+              ext: {
+                collectorCache: [
+                  {
+                    run: { key: 'build', sources: ['src/main.c'], cachedir: 'build/output', ...run },
+                    scan: { dir: 'build/output', files: '**/*' },
+                  },
+                ],
+              },
+            },
+            worktree: worktreeDir,
+            gitdir: ospath.join(worktreeDir, '.git'),
+          },
+        ],
+      },
+    ]
+
+    const runBuild = async (run, config) => {
+      const context = createGeneratorContext()
+      ext.register.call(context, { config, playbook })
+      await context.contentAggregated({ playbook, contentAggregate: createContentAggregate(run) })
+      await context.beforePublish({ playbook })
+      await context.sitePublished({ playbook })
+      return context.messages.filter((m) => m.level === 'info').map((m) => m.msg)
+    }
+
+    // Read the only pointer written for the entry
+    const readPointer = () => {
+      const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
+      const [pointerFile] = fs.readdirSync(hashDir)
+      return JSON.parse(fs.readFileSync(ospath.join(hashDir, pointerFile), 'utf8'))
+    }
+
+    beforeEach(() => {
+      createSourceFile(worktreeDir, 'src/main.c', 'int main() { return 0; }')
+      createSourceFile(worktreeDir, 'build/output/result.txt', 'build output')
+    })
+
+    it('should keep the cache of a component with a cache-dir in that directory', async () => {
+      const runComponentBuild = async () => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        const contentAggregate = createContentAggregate({ command: 'make docs' })
+        const { descriptor } = contentAggregate[0].origins[0]
+        descriptor.ext.collectorCache = { cacheDir: '.cache/docs', entries: descriptor.ext.collectorCache }
+        await context.contentAggregated({ playbook, contentAggregate })
+        await context.beforePublish({ playbook })
+        await context.sitePublished({ playbook })
+        return context.messages.filter((m) => m.level === 'info').map((m) => m.msg)
+      }
+
+      await runComponentBuild()
+      expect(fs.readdirSync(ospath.join(playbookDir, '.cache/docs/hashes/test-component/build'))).to.have.lengthOf(1)
+      expect(fs.readdirSync(ospath.join(playbookDir, '.cache/docs/outputs'))).to.have.lengthOf(1)
+      expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      expect((await runComponentBuild()).some((m) => m.includes('Cache HIT'))).to.be.true()
+    })
+
+    it('should keep hash memos in the directory of the cache store', async () => {
+      await runBuild({ command: 'make docs' }, { cacheStore: { dir: '.cache/shared' } })
+      expect(fs.readdirSync(ospath.join(playbookDir, '.cache/shared/memo'))).to.have.lengthOf(1)
+      expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache'))).to.be.false()
+    })
+
+    it('should report cache HIT when run configuration is unchanged', async () => {
+      await runBuild({ command: 'make docs' })
+      const messages = await runBuild({ command: 'make docs' })
+      expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+    })
+
+    it('should report cache MISS when run command changes', async () => {
+      await runBuild({ command: 'make docs' })
+      const messages = await runBuild({ command: 'make docs DOXYGEN_FLAGS=-q' })
+      expect(messages.some((m) => m.includes('Cache MISS') && m.includes('no cache entry'))).to.be.true()
+    })
+
+    it('should report cache MISS when run dir or env changes', async () => {
+      await runBuild({ command: 'make docs', dir: 'docs' })
+      const dirMessages = await runBuild({ command: 'make docs', dir: 'api' })
+      expect(dirMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+
+      await runBuild({ command: 'make docs', env: [{ name: 'MODE', value: 'html' }] })
+      const envMessages = await runBuild({ command: 'make docs', env: [{ name: 'MODE', value: 'pdf' }] })
+      expect(envMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+    })
+
+    it('should not invalidate cache when only extension properties change', async () => {
+      await runBuild({ command: 'make docs' })
+      const messages = await runBuild({ command: 'make docs', restoretoworktree: ['**/*.h'] })
+      expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+    })
+
+    it('should record run configuration in pointer file', async () => {
+      await runBuild({ command: 'make docs', dir: 'docs' })
+      const pointer = readPointer()
+      expect(pointer.inputs).to.deep.equal({ run: { command: 'make docs', dir: 'docs' } })
+    })
+
+    it('should record key scheme version in pointer file', async () => {
+      await runBuild({ command: 'make docs' })
+      const pointer = readPointer()
+      expect(pointer.keyVersion).to.equal(KEY_VERSION)
+    })
+
+    it('should report cache MISS when source is renamed', async () => {
+      await runBuild({ command: 'make docs', sources: ['src/*.c'] })
+      fs.renameSync(ospath.join(worktreeDir, 'src/main.c'), ospath.join(worktreeDir, 'src/app.c'))
+      const messages = await runBuild({ command: 'make docs', sources: ['src/*.c'] })
+      expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+    })
+
+    it('should ignore pointer from an outdated key scheme', async () => {
+      const sourceHash = computeFileHash('int main() { return 0; }')
+      const contentHash = computeEntryContentHash({ 'src/main.c': sourceHash }, { command: 'make docs' })
+      const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
+      const outputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', contentHash)
+      createSourceFile(hashDir, `${contentHash}.json`, JSON.stringify({ keyVersion: 1, outputDir: contentHash }))
+      createSourceFile(outputDir, 'build/output/result.txt', 'stale output')
+
+      const messages = await runBuild({ command: 'make docs' })
+      expect(messages.some((m) => m.includes('Cache MISS') && m.includes('outdated key scheme'))).to.be.true()
+    })
+
+    describe('run.hash-env', () => {
+      afterEach(() => {
+        delete process.env.COLLECTOR_CACHE_TEST_BOARD
+      })
+
+      it('should report cache MISS when a declared environment variable changes', async () => {
+        process.env.COLLECTOR_CACHE_TEST_BOARD = 'nrf52'
+        await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD'] })
+        const hitMessages = await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD'] })
+        expect(hitMessages.some((m) => m.includes('Cache HIT'))).to.be.true()
+
+        process.env.COLLECTOR_CACHE_TEST_BOARD = 'stm32'
+        const missMessages = await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD'] })
+        expect(missMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should report cache MISS when a declared environment variable is unset', async () => {
+        process.env.COLLECTOR_CACHE_TEST_BOARD = ''
+        await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD'] })
+
+        delete process.env.COLLECTOR_CACHE_TEST_BOARD
+        const messages = await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD'] })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should record declared environment variables in pointer file', async () => {
+        process.env.COLLECTOR_CACHE_TEST_BOARD = 'nrf52'
+        await runBuild({ command: 'make docs', hashenv: ['COLLECTOR_CACHE_TEST_BOARD', 'COLLECTOR_CACHE_TEST_UNSET'] })
+        const pointer = readPointer()
+        expect(pointer.inputs.hashEnv).to.deep.equal({
+          COLLECTOR_CACHE_TEST_BOARD: 'nrf52',
+          COLLECTOR_CACHE_TEST_UNSET: null,
+        })
+      })
+    })
+
+    describe('run.tool-versions', () => {
+      it('should report cache MISS when a probed tool version changes', async () => {
+        createSourceFile(worktreeDir, 'doxygen-version.txt', '1.9.8')
+        await runBuild({ command: 'make docs', toolversions: ['cat doxygen-version.txt'] })
+        const hitMessages = await runBuild({ command: 'make docs', toolversions: ['cat doxygen-version.txt'] })
+        expect(hitMessages.some((m) => m.includes('Cache HIT'))).to.be.true()
+
+        createSourceFile(worktreeDir, 'doxygen-version.txt', '1.10.0')
+        const missMessages = await runBuild({ command: 'make docs', toolversions: ['cat doxygen-version.txt'] })
+        expect(missMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should not invalidate entries that do not probe the changed tool', async () => {
+        createSourceFile(worktreeDir, 'doxygen-version.txt', '1.9.8')
+        await runBuild({ command: 'make docs' })
+
+        createSourceFile(worktreeDir, 'doxygen-version.txt', '1.10.0')
+        const messages = await runBuild({ command: 'make docs' })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should record tool versions in pointer file', async () => {
+        await runBuild({ command: 'make docs', toolversions: ['echo "doxygen 1.9.8"'] })
+        expect(readPointer().inputs.toolVersions).to.deep.equal({ 'echo "doxygen 1.9.8"': 'doxygen 1.9.8' })
+      })
+    })
+
+    describe('run.key-commands', () => {
+      it('should record the command output in the pointer file', async () => {
+        createSourceFile(worktreeDir, 'requirements.txt', 'sphinx==7.2.6\n')
+        await runBuild({ command: 'make docs', keycommands: ['cat requirements.txt'] })
+        expect(readPointer().inputs.keyCommands).to.deep.equal({ 'cat requirements.txt': 'sphinx==7.2.6\n' })
+      })
+
+      it('should report cache MISS when the command output changes', async () => {
+        const run = { command: 'make docs', keycommands: ['cat requirements.txt'] }
+        createSourceFile(worktreeDir, 'requirements.txt', 'sphinx==7.2.6\n')
+        await runBuild(run)
+        expect((await runBuild(run)).some((m) => m.includes('Cache HIT'))).to.be.true()
+
+        createSourceFile(worktreeDir, 'requirements.txt', 'sphinx==7.3.0\n')
+        expect((await runBuild(run)).some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should run the entry without caching when a command fails', async () => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        await context.contentAggregated({
+          playbook,
+          contentAggregate: createContentAggregate({ command: 'make docs', keycommands: ['exit 1'] }),
+        })
+        await context.beforePublish({ playbook })
+
+        const errors = context.messages.filter((m) => m.level === 'error').map((m) => m.msg)
+        expect(errors.some((m) => m.includes('Key command "exit 1" failed'))).to.be.true()
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      })
+    })
+
+    describe('miss explanations', () => {
+      it('should log the sources and inputs that changed since the last cached build', async () => {
+        createSourceFile(worktreeDir, 'src/old.c', 'int old;')
+        const firstMessages = await runBuild({ command: 'make docs', sources: ['src/main.c', 'src/old.c'] })
+        expect(firstMessages.some((m) => m.includes('Changes since'))).to.be.false()
+
+        createSourceFile(worktreeDir, 'src/main.c', 'int main() { return 1; }')
+        createSourceFile(worktreeDir, 'src/new.c', 'int new;')
+        const messages = await runBuild({ command: 'make docs -W', sources: ['src/main.c', 'src/new.c'] })
+
+        expect(messages.some((m) => m.includes('Cache MISS') && m.includes('no cache entry'))).to.be.true()
+        expect(messages.some((m) => m.startsWith('  Changes since'))).to.be.true()
+        expect(messages).to.include.members([
+          '    added: src/new.c',
+          '    removed: src/old.c',
+          '    changed: src/main.c',
+          '    changed inputs: run.command',
+        ])
+      })
+
+      it('should write cache check results and changes to the report', async () => {
+        const config = { report: 'build/cache-report.json' }
+        const reportPath = ospath.join(playbookDir, 'build/cache-report.json')
+        await runBuild({ command: 'make docs' }, config)
+        expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).entries).to.deep.equal([
+          {
+            component: 'test-component',
+            key: 'build',
+            result: 'miss',
+            reason: 'no cache entry',
+            contentHash: readPointer().outputDir,
+          },
+        ])
+
+        createSourceFile(worktreeDir, 'src/main.c', 'int main() { return 1; }')
+        await runBuild({ command: 'make docs' }, config)
+        const [missEntry] = JSON.parse(fs.readFileSync(reportPath, 'utf8')).entries
+        expect(missEntry.result).to.equal('miss')
+        expect(missEntry.changes.sources).to.deep.equal({ added: [], removed: [], changed: ['src/main.c'] })
+        expect(missEntry.changes.inputs).to.deep.equal([])
+
+        await runBuild({ command: 'make docs' }, config)
+        const [hitEntry] = JSON.parse(fs.readFileSync(reportPath, 'utf8')).entries
+        expect(hitEntry).to.include({ result: 'hit', contentHash: missEntry.contentHash })
+      })
+
+      it('should not write a report unless configured', async () => {
+        await runBuild({ command: 'make docs' })
+        expect(fs.existsSync(ospath.join(playbookDir, 'build'))).to.be.false()
+      })
+    })
+
+    describe('cache-store', () => {
+      // A store module that keeps pointers and outputs in a directory given by the root option
+      // and does not support miss explanations
+      const writeStoreModule = () => {
+        const storeModule = [
+          `const { createLocalStore } = require(${JSON.stringify(require.resolve('../lib/utils/store'))})`,
+          'module.exports = ({ root, logger }) => {',
+          '  const { getLatestPointer, ...store } = createLocalStore({ dir: root, logger })',
+          "  return { ...store, name: 'custom' }",
+          '}',
+        ].join('\n')
+        fs.writeFileSync(ospath.join(playbookDir, 'custom-store.js'), storeModule, 'utf8')
+      }
+
+      it('should store pointers and outputs through the configured store', async () => {
+        writeStoreModule()
+        const config = { cacheStore: { require: './custom-store.js', root: ospath.join(workDir, 'custom-cache') } }
+
+        const missMessages = await runBuild({ command: 'make docs' }, config)
+        expect(missMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+        expect(fs.existsSync(ospath.join(workDir, 'custom-cache/hashes/test-component/build'))).to.be.true()
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+
+        fs.rmSync(ospath.join(worktreeDir, 'build/output'), { recursive: true })
+        const hitMessages = await runBuild({ command: 'make docs' }, config)
+        expect(hitMessages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(fs.readFileSync(ospath.join(worktreeDir, 'build/output/result.txt'), 'utf8')).to.equal('build output')
+      })
+
+      it('should skip miss explanations when the store cannot list pointers', async () => {
+        writeStoreModule()
+        const config = { cacheStore: { require: './custom-store.js', root: ospath.join(workDir, 'custom-cache') } }
+        await runBuild({ command: 'make docs' }, config)
+
+        const messages = await runBuild({ command: 'make docs -W' }, config)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+        expect(messages.some((m) => m.includes('Changes since'))).to.be.false()
+      })
+
+      it('should store outputs as compressed archives', async () => {
+        const config = { cacheStore: { require: 'local', archive: 'brotli' } }
+        await runBuild({ command: 'make docs' }, config)
+        const outputsDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs')
+        const [contentHash] = fs.readdirSync(outputsDir)
+        expect(fs.readdirSync(ospath.join(outputsDir, contentHash, 'build')).sort()).to.deep.equal([
+          'output.manifest.json',
+          'output.tar.br',
+        ])
+
+        fs.rmSync(ospath.join(worktreeDir, 'build/output'), { recursive: true })
+        const messages = await runBuild({ command: 'make docs' }, config)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(fs.readFileSync(ospath.join(worktreeDir, 'build/output/result.txt'), 'utf8')).to.equal('build output')
+      })
+
+      it('should share pointers and outputs through an http cache server', async () => {
+        const server = await startHttpCacheServer()
+        try {
+          const config = { cacheStore: { require: 'http', url: server.url } }
+          const missMessages = await runBuild({ command: 'make docs' }, config)
+          expect(missMessages.some((m) => m.includes('Cache MISS'))).to.be.true()
+          expect([...server.entries.keys()].some((url) => url.startsWith('/cas/'))).to.be.true()
+
+          fs.rmSync(ospath.join(worktreeDir, 'build/output'), { recursive: true })
+          const hitMessages = await runBuild({ command: 'make docs' }, config)
+          expect(hitMessages.some((m) => m.includes('Cache HIT'))).to.be.true()
+          expect(fs.readFileSync(ospath.join(worktreeDir, 'build/output/result.txt'), 'utf8')).to.equal('build output')
+
+          const changedMessages = await runBuild({ command: 'make docs -W' }, config)
+          expect(changedMessages.some((m) => m.includes('Changes since'))).to.be.true()
+        } finally {
+          await server.close()
+        }
+      })
+
+      it('should share pointers and outputs through an s3 bucket', async () => {
+        const server = await startHttpCacheServer()
+        Object.assign(process.env, { AWS_ACCESS_KEY_ID: 'minio', AWS_SECRET_ACCESS_KEY: 'minio-secret' })
+        try {
+          const config = { cacheStore: { require: 's3', bucket: 'docs', prefix: 'antora', endpoint: server.url } }
+          await runBuild({ command: 'make docs' }, config)
+          const keys = [...server.entries.keys()]
+          expect(keys.some((key) => key.startsWith('/docs/antora/hashes/test-component/build/'))).to.be.true()
+          expect(keys.some((key) => key.startsWith('/docs/antora/outputs/'))).to.be.true()
+          expect(
+            server.requests.every(({ headers }) => headers.authorization.includes('Credential=minio/'))
+          ).to.be.true()
+
+          fs.rmSync(ospath.join(worktreeDir, 'build/output'), { recursive: true })
+          const messages = await runBuild({ command: 'make docs' }, config)
+          expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+          expect(fs.readFileSync(ospath.join(worktreeDir, 'build/output/result.txt'), 'utf8')).to.equal('build output')
+        } finally {
+          delete process.env.AWS_ACCESS_KEY_ID
+          delete process.env.AWS_SECRET_ACCESS_KEY
+          await server.close()
+        }
+      })
+
+      it('should read through and write back a tiered local and remote cache', async () => {
+        const server = await startHttpCacheServer()
+        try {
+          const config = {
+            cacheStore: { require: 'tiered', remote: { require: 'http', url: server.url }, background: true },
+          }
+          await runBuild({ command: 'make docs' }, config)
+          expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.true()
+          expect([...server.entries.keys()].some((url) => url.startsWith('/cas/'))).to.be.true()
+
+          // A fresh machine gets the outputs from the remote tier and populates its local tier
+          fs.rmSync(ospath.join(playbookDir, '.cache/antora/collector-cache'), { recursive: true })
+          fs.rmSync(ospath.join(worktreeDir, 'build/output'), { recursive: true })
+          const remoteMessages = await runBuild({ command: 'make docs' }, config)
+          expect(remoteMessages.some((m) => m.includes('Cache HIT'))).to.be.true()
+          expect(remoteMessages).to.include('Cache hits by tier: 0 local, 1 remote')
+          expect(fs.readFileSync(ospath.join(worktreeDir, 'build/output/result.txt'), 'utf8')).to.equal('build output')
+
+          const requestCount = server.requests.length
+          const localMessages = await runBuild({ command: 'make docs' }, config)
+          expect(localMessages).to.include('Cache hits by tier: 1 local, 0 remote')
+          expect(server.requests).to.have.lengthOf(requestCount)
+        } finally {
+          await server.close()
+        }
+      })
+
+      it('should build without the cache when the http cache server is unreachable', async () => {
+        const server = await startHttpCacheServer()
+        await server.close()
+        const config = { cacheStore: { require: 'http', url: server.url, timeout: 1000 } }
+
+        const messages = await runBuild({ command: 'make docs' }, config)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      })
+    })
+
+    describe('cache-version', () => {
+      it('should report cache HIT when cache version is unchanged', async () => {
+        await runBuild({ command: 'make docs' }, { cacheVersion: 1 })
+        const messages = await runBuild({ command: 'make docs' }, { cacheVersion: '1' })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should report cache MISS when cache version is bumped', async () => {
+        await runBuild({ command: 'make docs' }, { cacheVersion: 1 })
+        const messages = await runBuild({ command: 'make docs' }, { cacheVersion: 2 })
+        expect(messages.some((m) => m.includes('Cache MISS') && m.includes('no cache entry'))).to.be.true()
+      })
+
+      it('should report cache MISS when cache version is introduced', async () => {
+        await runBuild({ command: 'make docs' })
+        const messages = await runBuild({ command: 'make docs' }, { cacheVersion: 1 })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should record cache version in pointer file', async () => {
+        await runBuild({ command: 'make docs' }, { cacheVersion: 3 })
+        expect(readPointer().inputs.cacheVersion).to.equal('3')
+      })
+    })
+
+    describe('source normalization', () => {
+      const run = {
+        command: 'make docs',
+        sources: [
+          {
+            path: 'src/**/*.c',
+            normalize: { 'line-endings': true, 'trailing-whitespace': true, 'ignore-lines': ['Copyright \\d{4}'] },
+          },
+        ],
+      }
+
+      beforeEach(() => {
+        createSourceFile(worktreeDir, 'src/main.c', '// Copyright 2024\nint main() { return 0; }\n')
+      })
+
+      it('should report cache HIT when only normalized-away content changes', async () => {
+        await runBuild(run)
+
+        createSourceFile(worktreeDir, 'src/main.c', '// Copyright 2025\r\nint main() { return 0; }  \r\n')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should report cache MISS when normalized content changes', async () => {
+        await runBuild(run)
+
+        createSourceFile(worktreeDir, 'src/main.c', '// Copyright 2024\nint main() { return 1; }\n')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should record the normalizers in the pointer', async () => {
+        await runBuild(run)
+        expect(readPointer().inputs.normalize).to.deep.equal([
+          { files: 'src/**/*.c', lineEndings: true, trailingWhitespace: true, ignoreLines: ['Copyright \\d{4}'] },
+        ])
+      })
+
+      it('should report cache MISS when the normalizers change', async () => {
+        await runBuild(run)
+        const messages = await runBuild({ command: 'make docs', sources: [{ path: 'src/**/*.c' }] })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+    })
+
+    describe('custom hashers', () => {
+      const hasherSource = 'module.exports = (source, content) => JSON.stringify(JSON.parse(content).dependencies)\n'
+      const run = { command: 'make docs', sources: ['src/main.c', { path: 'package.json', hasher: 'deps' }] }
+
+      beforeEach(() => {
+        fs.writeFileSync(ospath.join(playbookDir, 'deps-hasher.js'), hasherSource, 'utf8')
+        createSourceFile(worktreeDir, 'package.json', '{"version":"1.0.0","dependencies":{"a":"^1.0.0"}}')
+      })
+
+      it('should report cache HIT when only ignored parts of a file change', async () => {
+        await runBuild(run, { hashers: { deps: './deps-hasher.js' } })
+
+        createSourceFile(worktreeDir, 'package.json', '{"version":"1.0.1","dependencies":{"a":"^1.0.0"}}')
+        const messages = await runBuild(run, { hashers: { deps: './deps-hasher.js' } })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(readPointer().sources['package.json']).to.equal(computeFileHash('{"a":"^1.0.0"}'))
+      })
+
+      it('should report cache MISS when the canonical form changes', async () => {
+        await runBuild(run, { hashers: { deps: './deps-hasher.js' } })
+
+        createSourceFile(worktreeDir, 'package.json', '{"version":"1.0.0","dependencies":{"a":"^2.0.0"}}')
+        const messages = await runBuild(run, { hashers: { deps: './deps-hasher.js' } })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should record the hasher and its module hash in the pointer', async () => {
+        await runBuild(run, { hashers: { deps: './deps-hasher.js' } })
+        expect(readPointer().inputs.hashers).to.deep.equal([
+          { files: 'package.json', hasher: 'deps', moduleHash: computeFileHash(hasherSource) },
+        ])
+      })
+
+      it('should resolve dashed hasher names registered through the camelCased playbook config', async () => {
+        // Antora converts the package-deps key in the playbook to packageDeps
+        const dashedRun = {
+          command: 'make docs',
+          sources: ['src/main.c', { path: 'package.json', hasher: 'package-deps' }],
+        }
+        await runBuild(dashedRun, { hashers: { packageDeps: './deps-hasher.js' } })
+
+        createSourceFile(worktreeDir, 'package.json', '{"version":"1.0.1","dependencies":{"a":"^1.0.0"}}')
+        const messages = await runBuild(dashedRun, { hashers: { packageDeps: './deps-hasher.js' } })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+    })
+
+    describe('run.hash-metadata', () => {
+      beforeEach(() => {
+        fs.chmodSync(ospath.join(worktreeDir, 'src/main.c'), 0o644)
+      })
+
+      it('should report cache MISS when the file mode changes', async () => {
+        await runBuild({ command: 'make docs', hashmetadata: true })
+
+        fs.chmodSync(ospath.join(worktreeDir, 'src/main.c'), 0o755)
+        const messages = await runBuild({ command: 'make docs', hashmetadata: true })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should record file modes in the pointer', async () => {
+        await runBuild({ command: 'make docs', hashmetadata: true })
+        expect(readPointer().inputs.fileMetadata).to.deep.equal({ 'src/main.c': { mode: '100644' } })
+      })
+
+      it('should report cache HIT when only permission bits git does not record change', async () => {
+        await runBuild({ command: 'make docs', hashmetadata: true })
+
+        fs.chmodSync(ospath.join(worktreeDir, 'src/main.c'), 0o664)
+        const messages = await runBuild({ command: 'make docs', hashmetadata: true })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should ignore file mode changes when not enabled', async () => {
+        await runBuild({ command: 'make docs' })
+
+        fs.chmodSync(ospath.join(worktreeDir, 'src/main.c'), 0o755)
+        const messages = await runBuild({ command: 'make docs' })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(readPointer().inputs).to.not.have.property('fileMetadata')
+      })
+
+      it('should report cache MISS when a symlink is retargeted to identical content', async () => {
+        createSourceFile(worktreeDir, 'src/a.c', 'int x;')
+        createSourceFile(worktreeDir, 'src/b.c', 'int x;')
+        fs.symlinkSync('a.c', ospath.join(worktreeDir, 'src/link.c'))
+        const run = { command: 'make docs', sources: ['src/link.c'], hashmetadata: true }
+        await runBuild(run)
+
+        fs.unlinkSync(ospath.join(worktreeDir, 'src/link.c'))
+        fs.symlinkSync('b.c', ospath.join(worktreeDir, 'src/link.c'))
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should report an error when a symlink escapes the worktree', async () => {
+        fs.writeFileSync(ospath.join(playbookDir, 'outside.c'), 'int x;')
+        fs.symlinkSync(ospath.join(playbookDir, 'outside.c'), ospath.join(worktreeDir, 'src/outside.c'))
+
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        const run = { command: 'make docs', sources: ['src/outside.c'], hashmetadata: true }
+        await context.contentAggregated({ playbook, contentAggregate: createContentAggregate(run) })
+
+        const errors = context.messages.filter((m) => m.level === 'error').map((m) => m.msg)
+        expect(errors.some((m) => m.includes('src/outside.c resolves outside the worktree'))).to.be.true()
+      })
+    })
+
+    describe('optional sources and missing-source policy', () => {
+      it('should cache an entry whose optional source is absent', async () => {
+        const run = { command: 'make docs', optionalsources: ['CHANGELOG.md'] }
+        await runBuild(run)
+        expect(readPointer().sources).to.deep.equal({
+          'src/main.c': computeFileHash('int main() { return 0; }'),
+          'CHANGELOG.md': 'absent',
+        })
+
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should report cache MISS when an optional source appears', async () => {
+        const run = { command: 'make docs', optionalsources: ['CHANGELOG.md'] }
+        await runBuild(run)
+
+        createSourceFile(worktreeDir, 'CHANGELOG.md', '# Changelog')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should not cache an entry with a missing required source by default', async () => {
+        await runBuild({ command: 'make docs', sources: ['src/main.c', 'CHANGELOG.md'] })
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      })
+
+      it('should leave missing required sources out of the key with the ignore policy', async () => {
+        const run = { command: 'make docs', sources: ['src/main.c', 'CHANGELOG.md'], missingsources: 'ignore' }
+        await runBuild(run)
+        expect(Object.keys(readPointer().sources)).to.deep.equal(['src/main.c'])
+
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should report an error for missing required sources with the error policy', async () => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        const run = { command: 'make docs', sources: ['src/main.c', 'CHANGELOG.md'], missingsources: 'error' }
+        await context.contentAggregated({ playbook, contentAggregate: createContentAggregate(run) })
+
+        const errors = context.messages.filter((m) => m.level === 'error').map((m) => m.msg)
+        expect(errors.some((m) => m.includes('Missing required source(s): CHANGELOG.md'))).to.be.true()
+      })
+
+      it('should warn about an invalid policy and fall back to miss', async () => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        const run = { command: 'make docs', sources: ['CHANGELOG.md'], missingsources: 'skip' }
+        await context.contentAggregated({ playbook, contentAggregate: createContentAggregate(run) })
+
+        const warnings = context.messages.filter((m) => m.level === 'warn').map((m) => m.msg)
+        expect(warnings.some((m) => m.includes('Invalid run.missing-sources "skip"'))).to.be.true()
+        const debugMessages = context.messages.filter((m) => m.level === 'debug').map((m) => m.msg)
+        expect(debugMessages.some((m) => m.includes('Source files not found for test-component/build'))).to.be.true()
+      })
+    })
+
+    describe('dependency chaining', () => {
+      const createChainedContentAggregate = (libRun = {}) => [
+        {
+          name: 'test-component',
+          origins: [
+            {
+              descriptor: {
+                ext: {
+                  collectorCache: [
+                    {
+                      run: { key: 'main', sources: ['src/main.c'], dependson: ['lib'], cachedir: 'build/output' },
+                      scan: { dir: 'build/output', files: '**/*' },
+                    },
+                    {
+                      run: {
+                        key: 'lib',
+                        sources: ['lib/helper.c'],
+                        cachedir: 'build/lib',
+                        command: 'make lib',
+                        ...libRun,
+                      },
+                      scan: { dir: 'build/lib', files: '**/*' },
+                    },
+                  ],
+                },
+              },
+              worktree: worktreeDir,
+              gitdir: ospath.join(worktreeDir, '.git'),
+            },
+          ],
+        },
+      ]
+
+      const runChainedBuild = async (libRun) => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        await context.contentAggregated({ playbook, contentAggregate: createChainedContentAggregate(libRun) })
+        await context.beforePublish({ playbook })
+        return context.messages.filter((m) => m.level === 'info').map((m) => m.msg)
+      }
+
+      const readPointerFor = (key) => {
+        const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component', key)
+        const [pointerFile] = fs.readdirSync(hashDir)
+        return JSON.parse(fs.readFileSync(ospath.join(hashDir, pointerFile), 'utf8'))
+      }
+
+      beforeEach(() => {
+        createSourceFile(worktreeDir, 'lib/helper.c', 'void helper() {}')
+        createSourceFile(worktreeDir, 'build/lib/lib.txt', 'lib output')
+      })
+
+      it('should include the content hash of each dependency in the key', async () => {
+        await runChainedBuild()
+        const mainPointer = readPointerFor('main')
+        expect(mainPointer.inputs.dependencies).to.deep.equal({ lib: readPointerFor('lib').outputDir })
+        expect(Object.keys(mainPointer.sources)).to.deep.equal(['src/main.c'])
+      })
+
+      it('should report cache HIT for dependents when nothing changed', async () => {
+        await runChainedBuild()
+        const messages = await runChainedBuild()
+        expect(messages.some((m) => m.includes('Cache HIT for test-component/main'))).to.be.true()
+        expect(messages.some((m) => m.includes('Cache HIT for test-component/lib'))).to.be.true()
+      })
+
+      it('should report cache MISS for dependents when a dependency source changes', async () => {
+        await runChainedBuild()
+
+        createSourceFile(worktreeDir, 'lib/helper.c', 'void helper(int) {}')
+        const messages = await runChainedBuild()
+        expect(messages.some((m) => m.includes('Cache MISS for test-component/main'))).to.be.true()
+      })
+
+      it('should report cache MISS for dependents when a dependency command changes', async () => {
+        await runChainedBuild()
+        const messages = await runChainedBuild({ command: 'make lib V=1' })
+        expect(messages.some((m) => m.includes('Cache MISS for test-component/lib'))).to.be.true()
+        expect(messages.some((m) => m.includes('Cache MISS for test-component/main'))).to.be.true()
+      })
+
+      it('should not cache a dependent whose dependency cannot be keyed', async () => {
+        await runChainedBuild({ sources: ['lib/missing.c'] })
+        const hashesDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component')
+        expect(fs.existsSync(ospath.join(hashesDir, 'main'))).to.be.false()
+        expect(fs.existsSync(ospath.join(hashesDir, 'lib'))).to.be.false()
+      })
+    })
+
+    describe('run.source-submodules', () => {
+      const git = require('isomorphic-git')
+      const author = { name: 'Test', email: 'test@example.org' }
+      const sdkCommit = '4bd2cf51a46c0d79737dbb8e19692377ed121d4b'
+
+      const recordSubmodule = async (oid) => {
+        await git.updateIndex({ fs, dir: worktreeDir, filepath: 'vendor/sdk', oid, mode: 0o160000, add: true })
+        await git.commit({ fs, dir: worktreeDir, message: 'Update sdk', author })
+      }
+
+      // Run a build and return all log messages
+      const runLoggedBuild = async (run) => {
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        await context.contentAggregated({ playbook, contentAggregate: createContentAggregate(run) })
+        await context.beforePublish({ playbook })
+        return context.messages
+      }
+
+      beforeEach(async () => {
+        await git.init({ fs, dir: worktreeDir })
+        await git.add({ fs, dir: worktreeDir, filepath: 'src/main.c' })
+        await recordSubmodule(sdkCommit)
+      })
+
+      it('should record the submodule commit in the pointer instead of hashing its files', async () => {
+        await runBuild({ command: 'make docs', sourcesubmodules: ['vendor/sdk'] })
+        const pointer = readPointer()
+        expect(pointer.inputs.submodules).to.deep.equal({ 'vendor/sdk': sdkCommit })
+        expect(Object.keys(pointer.sources)).to.deep.equal(['src/main.c'])
+      })
+
+      it('should report cache MISS when the submodule commit changes', async () => {
+        const run = { command: 'make docs', sourcesubmodules: ['vendor/sdk'] }
+        await runBuild(run)
+        expect((await runBuild(run)).some((m) => m.includes('Cache HIT'))).to.be.true()
+
+        await recordSubmodule('0000000000000000000000000000000000000001')
+        expect((await runBuild(run)).some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should only check out the submodule when the entry has to run', async () => {
+        const run = { command: 'make docs', sourcesubmodules: ['vendor/sdk'] }
+        const isFullInit = (m) => m.level === 'debug' && m.msg === 'Initializing submodules in worktree: vendor/sdk'
+
+        const missMessages = await runLoggedBuild(run)
+        expect(
+          missMessages.some((m) => m.msg.includes('Initializing submodules in worktree: :(exclude)vendor/sdk'))
+        ).to.be.true()
+        expect(missMessages.some(isFullInit)).to.be.true()
+
+        const hitMessages = await runLoggedBuild(run)
+        expect(hitMessages.some((m) => m.msg.includes('Cache HIT'))).to.be.true()
+        expect(hitMessages.some(isFullInit)).to.be.false()
+      })
+
+      it('should check out the submodule up front when another entry reads sources from it', async () => {
+        const sdkEntry = { run: { key: 'sdk', sources: ['src/main.c'], cachedir: 'build/sdk' } }
+        const runEntries = async (entries) => {
+          const context = createGeneratorContext()
+          ext.register.call(context, { playbook })
+          const contentAggregate = createContentAggregate()
+          contentAggregate[0].origins[0].descriptor.ext.collectorCache = entries
+          await context.contentAggregated({ playbook, contentAggregate })
+          return context.messages
+            .filter((m) => m.msg.startsWith('Initializing submodules in worktree'))
+            .map((m) => m.msg)
+        }
+
+        expect(
+          await runEntries([
+            { run: { ...sdkEntry.run, sourcesubmodules: ['vendor/sdk'] } },
+            { run: { key: 'api', sources: ['vendor/sdk/include/**/*.h'], cachedir: 'build/api' } },
+          ])
+        ).to.deep.equal(['Initializing submodules in worktree', 'Initializing submodules in worktree'])
+
+        expect(
+          await runEntries([
+            { run: { ...sdkEntry.run, sourcesubmodules: ['vendor/sdk'] } },
+            { run: { key: 'api', sources: ['README.md'], sourcecommands: ['echo README.md'], cachedir: 'build/api' } },
+          ])
+        ).to.deep.equal(['Initializing submodules in worktree', 'Initializing submodules in worktree'])
+      })
+
+      it('should not cache an entry whose submodule is not recorded in the superproject', async () => {
+        await runBuild({ command: 'make docs', sourcesubmodules: ['vendor/missing'] })
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      })
+
+      it('should leave out unrecorded submodules under the ignore policy', async () => {
+        await runBuild({
+          command: 'make docs',
+          sourcesubmodules: ['vendor/sdk', 'vendor/missing'],
+          missingsources: 'ignore',
+        })
+        expect(readPointer().inputs.submodules).to.deep.equal({ 'vendor/sdk': sdkCommit })
+      })
+    })
+
+    describe('run.external-sources', () => {
+      beforeEach(() => {
+        fs.writeFileSync(ospath.join(playbookDir, 'Doxyfile.base'), 'GENERATE_HTML = YES')
+      })
+
+      it('should record external sources separately in the pointer', async () => {
+        await runBuild({ command: 'make docs', externalsources: ['Doxyfile.base'] })
+        const pointer = readPointer()
+        expect(pointer.inputs.externalSources).to.deep.equal({
+          'Doxyfile.base': computeFileHash('GENERATE_HTML = YES'),
+        })
+        expect(Object.keys(pointer.sources)).to.deep.equal(['src/main.c'])
+      })
+
+      it('should report cache MISS when an external source changes', async () => {
+        const run = { command: 'make docs', externalsources: ['Doxyfile.base'] }
+        await runBuild(run)
+
+        fs.writeFileSync(ospath.join(playbookDir, 'Doxyfile.base'), 'GENERATE_HTML = NO')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should report cache HIT when external sources are unchanged', async () => {
+        const run = { command: 'make docs', externalsources: ['Doxyfile.base'] }
+        await runBuild(run)
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should not cache an entry with a missing external source', async () => {
+        await runBuild({ command: 'make docs', externalsources: ['Doxyfile.missing'] })
+        expect(fs.existsSync(ospath.join(playbookDir, '.cache/antora/collector-cache/hashes'))).to.be.false()
+      })
+    })
+
+    describe('source exclusions', () => {
+      beforeEach(() => {
+        createSourceFile(worktreeDir, 'src/test/fixture.c', 'void fixture() {}')
+        createSourceFile(worktreeDir, 'src/main.c~', 'editor backup')
+      })
+
+      it('should ignore changes to files excluded by negated patterns', async () => {
+        const run = { command: 'make docs', sources: ['src/**', '!src/**/test/**', '!**/*~'] }
+        await runBuild(run)
+
+        createSourceFile(worktreeDir, 'src/test/fixture.c', 'void fixture(int) {}')
+        createSourceFile(worktreeDir, 'src/main.c~', 'another backup')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(Object.keys(readPointer().sources)).to.deep.equal(['src/main.c'])
+      })
+
+      it('should ignore changes to files excluded by run.sources-exclude', async () => {
+        const run = { command: 'make docs', sources: ['src/**'], sourcesexclude: ['src/**/test/**', '**/*~'] }
+        await runBuild(run)
+
+        createSourceFile(worktreeDir, 'src/test/fixture.c', 'void fixture(int) {}')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+        expect(Object.keys(readPointer().sources)).to.deep.equal(['src/main.c'])
+      })
+
+      it('should apply run.sources-exclude to source-command results', async () => {
+        const run = {
+          command: 'make docs',
+          sources: [],
+          sourcecommands: ['find src -type f'],
+          sourcesexclude: ['**/*~'],
+        }
+        await runBuild(run)
+        expect(Object.keys(readPointer().sources).sort()).to.deep.equal(['src/main.c', 'src/test/fixture.c'])
+      })
+    })
+
+    describe('directory sources', () => {
+      beforeEach(() => {
+        createSourceFile(worktreeDir, 'docs/api/index.md', '# API')
+        createSourceFile(worktreeDir, 'docs/api/build.log', 'build noise')
+        createSourceFile(worktreeDir, '.gitignore', '*.log\n')
+      })
+
+      it('should hash all files in a directory source', async () => {
+        const messages = await runBuild({ command: 'make docs', sources: ['docs/api'] })
+        expect(messages.some((m) => m.includes('Cached outputs'))).to.be.true()
+        expect(Object.keys(readPointer().sources)).to.deep.equal(['docs/api/build.log', 'docs/api/index.md'])
+      })
+
+      it('should report cache MISS when a file in a directory source changes', async () => {
+        await runBuild({ command: 'make docs', sources: ['docs/api'] })
+        createSourceFile(worktreeDir, 'docs/api/index.md', '# API v2')
+        const messages = await runBuild({ command: 'make docs', sources: ['docs/api'] })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should ignore untracked build junk when run.respect-gitignore is set', async () => {
+        const run = { command: 'make docs', sources: ['docs/api'], respectgitignore: true }
+        await runBuild(run)
+        expect(Object.keys(readPointer().sources)).to.deep.equal(['docs/api/index.md'])
+
+        createSourceFile(worktreeDir, 'docs/api/build.log', 'different noise')
+        const messages = await runBuild(run)
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+    })
+
+    describe('git-object-ids', () => {
+      it('should identify sources by git blob object ID', async () => {
+        await runBuild({ command: 'make docs' }, { gitObjectIds: true })
+        const pointer = readPointer()
+        expect(pointer.sources['src/main.c']).to.equal(computeGitBlobId(Buffer.from('int main() { return 0; }')))
+        expect(pointer.inputs.sourceIdentity).to.equal('git-blob')
+      })
+
+      it('should report cache HIT when sources are unchanged', async () => {
+        await runBuild({ command: 'make docs' }, { gitObjectIds: true })
+        const messages = await runBuild({ command: 'make docs' }, { gitObjectIds: true })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should not reuse entries cached with content hashes', async () => {
+        await runBuild({ command: 'make docs' })
+        const messages = await runBuild({ command: 'make docs' }, { gitObjectIds: true })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+    })
+
+    describe('hash-algorithm', () => {
+      it('should hash sources and content with the configured algorithm', async () => {
+        await runBuild({ command: 'make docs' }, { hashAlgorithm: 'sha512' })
+        const pointer = readPointer()
+        expect(pointer.hashAlgorithm).to.equal('sha512')
+        expect(pointer.outputDir).to.have.lengthOf(128)
+        expect(pointer.sources['src/main.c']).to.equal(
+          crypto.createHash('sha512').update('int main() { return 0; }').digest('hex')
+        )
+      })
+
+      it('should record sha256 as the default algorithm', async () => {
+        await runBuild({ command: 'make docs' })
+        expect(readPointer().hashAlgorithm).to.equal('sha256')
+      })
+
+      it('should report cache HIT when the algorithm is unchanged', async () => {
+        await runBuild({ command: 'make docs' }, { hashAlgorithm: 'blake2b512' })
+        const messages = await runBuild({ command: 'make docs' }, { hashAlgorithm: 'blake2b512' })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+
+      it('should reject a pointer recorded with another algorithm', async () => {
+        await runBuild({ command: 'make docs' })
+        const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
+        const [pointerFile] = fs.readdirSync(hashDir)
+        const pointer = readPointer()
+        fs.writeFileSync(ospath.join(hashDir, pointerFile), JSON.stringify({ ...pointer, hashAlgorithm: 'sha512' }))
+
+        const messages = await runBuild({ command: 'make docs' })
+        expect(messages.some((m) => m.includes('Cache MISS') && m.includes('hash algorithm changed'))).to.be.true()
+      })
+
+      it('should throw when the algorithm is not supported', () => {
+        const context = createGeneratorContext()
+        expect(() => ext.register.call(context, { config: { hashAlgorithm: 'md42' }, playbook })).to.throw(
+          'Unsupported hash algorithm "md42"'
+        )
+      })
+    })
+
+    describe('hash-concurrency', () => {
+      it('should produce the same content hash as the default concurrency', async () => {
+        await runBuild({ command: 'make docs' }, { hashConcurrency: 1 })
+        const messages = await runBuild({ command: 'make docs' }, { hashConcurrency: 16 })
+        expect(messages.some((m) => m.includes('Cache HIT'))).to.be.true()
+      })
+    })
+
+    describe('hash memo', () => {
+      const memoDir = () => ospath.join(playbookDir, '.cache/antora/collector-cache/memo')
+
+      // Replace the memoized digest of src/main.c so we can tell whether the memo was used
+      const tamperMemo = () => {
+        const [memoFile] = fs.readdirSync(memoDir())
+        const memo = JSON.parse(fs.readFileSync(ospath.join(memoDir(), memoFile), 'utf8'))
+        memo.files['src/main.c'].hash = computeFileHash('tampered')
+        fs.writeFileSync(ospath.join(memoDir(), memoFile), JSON.stringify(memo), 'utf8')
+      }
+
+      beforeEach(() => {
+        const past = new Date(Date.now() - 60 * 1000)
+        fs.utimesSync(ospath.join(worktreeDir, 'src/main.c'), past, past)
+      })
+
+      afterEach(() => {
+        delete process.env.VERIFY_SOURCES
+      })
+
+      it('should persist a hash memo for the worktree', async () => {
+        await runBuild({ command: 'make docs' })
+        const memoFiles = fs.readdirSync(memoDir())
+        expect(memoFiles).to.have.lengthOf(1)
+        const memo = JSON.parse(fs.readFileSync(ospath.join(memoDir(), memoFiles[0]), 'utf8'))
+        expect(memo.files['src/main.c'].hash).to.equal(computeFileHash('int main() { return 0; }'))
+      })
+
+      it('should reuse memoized digests when stat data is unchanged', async () => {
+        await runBuild({ command: 'make docs' })
+        tamperMemo()
+        const messages = await runBuild({ command: 'make docs' })
+        expect(messages.some((m) => m.includes('Cache MISS'))).to.be.true()
+      })
+
+      it('should rehash all sources when VERIFY_SOURCES=true', async () => {
+        await runBuild({ command: 'make docs' })
+        tamperMemo()
+        process.env.VERIFY_SOURCES = 'true'
+        const context = createGeneratorContext()
+        ext.register.call(context, { playbook })
+        await context.contentAggregated({
+          playbook,
+          contentAggregate: createContentAggregate({ command: 'make docs' }),
+        })
+
+        const messages = context.messages
+        expect(messages.some((m) => m.level === 'info' && m.msg.includes('Cache HIT'))).to.be.true()
+        expect(messages.some((m) => m.level === 'warn' && m.msg.includes('Hash memo was stale'))).to.be.true()
+      })
+    })
+
+    it('should ignore pointers created before run configuration was part of the key', async () => {
+      const sourceHash = computeFileHash('int main() { return 0; }')
+      const legacyContentHash = crypto.createHash('sha256').update(sourceHash).digest('hex')
+      const hashDir = ospath.join(playbookDir, '.cache/antora/collector-cache/hashes/test-component/build')
+      const legacyOutputDir = ospath.join(playbookDir, '.cache/antora/collector-cache/outputs', legacyContentHash)
+      createSourceFile(hashDir, `${legacyContentHash}.json`, JSON.stringify({ outputDir: legacyContentHash }))
+      createSourceFile(legacyOutputDir, 'build/output/result.txt', 'stale output')
+
+      const messages = await runBuild({ command: 'make docs' })
+      expect(messages.some((m) => m.includes('Cache MISS') && m.includes('no cache entry'))).to.be.true()
+    })
+  })
 })
@@ -43,6 +43,37 @@ const heredoc = (literals, ...vals) => {
   return (indentSize ? lines.map((l) => (l.charAt() === ' ' ? l.slice(indentSize) : l)) : lines).join('')
 }
 
+// Local stand-in for an HTTP cache server: stores PUT bodies by URL path and serves them to GET and HEAD
+// requests. The optional intercept function can answer a request itself by returning true.
+const startHttpCacheServer = async (intercept) => {
+  const http = require('node:http')
+  const entries = new Map()
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => {
+      const body = Buffer.concat(chunks)
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body })
+      if (intercept && intercept(req, res, body)) return
+      if (req.method === 'PUT') {
+        entries.set(req.url, body)
+        res.writeHead(200)
+        return res.end()
+      }
+      const entry = entries.get(req.url)
+      res.writeHead(entry ? 200 : 404, entry ? { 'Content-Length': entry.length } : {})
+      res.end(req.method === 'GET' && entry ? entry : undefined)
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  const close = () => {
+    server.closeAllConnections()
+    return new Promise((resolve) => server.close(resolve))
+  }
+  return { url: `http://127.0.0.1:${server.address().port}`, entries, requests, close }
+}
+
 // NOTE async keyword only needed on fn declaration if the function it calls does not always return a Promise
 const trapAsyncError = (fn, ...args) =>
   fn(...args).then(
@@ -57,5 +88,6 @@ module.exports = {
   expect: chai.expect,
   heredoc,
   spy: chai.spy,
+  startHttpCacheServer,
   trapAsyncError,
 }
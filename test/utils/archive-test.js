@@ -0,0 +1,198 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir, trapAsyncError } = require('../harness')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const zlib = require('zlib')
+const { Readable } = require('stream')
+const { packDirectory, unpackArchive, writeArchive, extractArchive } = require('../../lib/utils/archive')
+
+describe('utils/archive', () => {
+  let workDir
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'archive-test-'))
+  })
+
+  afterEach(async () => {
+    await cleanDir(workDir)
+  })
+
+  const writeFile = (filename, content) => {
+    fs.mkdirSync(ospath.dirname(ospath.join(workDir, filename)), { recursive: true })
+    fs.writeFileSync(ospath.join(workDir, filename), content)
+  }
+
+  const readFiles = (dir, prefix = '') =>
+    fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+      const relativePath = prefix + entry.name
+      if (entry.isDirectory()) return { ...files, ...readFiles(ospath.join(dir, entry.name), `${relativePath}/`) }
+      return { ...files, [relativePath]: fs.readFileSync(ospath.join(dir, entry.name), 'utf8') }
+    }, {})
+
+  describe('packDirectory and unpackArchive', () => {
+    it('should restore the files of a directory', async () => {
+      writeFile('src/index.html', '<html></html>')
+      writeFile('src/api/classes/a.html', 'a')
+      writeFile('src/empty.txt', '')
+      writeFile('src/.nojekyll', '')
+
+      const archive = await packDirectory(ospath.join(workDir, 'src'))
+      const fileCount = await unpackArchive(archive, ospath.join(workDir, 'dest'))
+
+      expect(fileCount).to.equal(4)
+      expect(readFiles(ospath.join(workDir, 'dest'))).to.deep.equal(readFiles(ospath.join(workDir, 'src')))
+    })
+
+    it('should keep paths longer than the tar name field', async () => {
+      const longPath = `html/${'nested_directory/'.repeat(6)}${'x'.repeat(40)}.html`
+      writeFile(`src/${longPath}`, 'long')
+
+      await unpackArchive(await packDirectory(ospath.join(workDir, 'src')), ospath.join(workDir, 'dest'))
+      expect(fs.readFileSync(ospath.join(workDir, 'dest', longPath), 'utf8')).to.equal('long')
+    })
+
+    it('should keep the executable bit of files', async () => {
+      writeFile('src/run.sh', '#!/bin/sh\n')
+      fs.chmodSync(ospath.join(workDir, 'src/run.sh'), 0o755)
+
+      await unpackArchive(await packDirectory(ospath.join(workDir, 'src')), ospath.join(workDir, 'dest'))
+      expect(fs.statSync(ospath.join(workDir, 'dest/run.sh')).mode & 0o100).to.equal(0o100)
+    })
+
+    it('should produce the same archive for the same files', async () => {
+      writeFile('src/b.txt', 'b')
+      writeFile('src/a/a.txt', 'a')
+      const first = await packDirectory(ospath.join(workDir, 'src'))
+
+      fs.utimesSync(ospath.join(workDir, 'src/b.txt'), new Date('2020-01-01'), new Date('2020-01-01'))
+      expect((await packDirectory(ospath.join(workDir, 'src'))).equals(first)).to.be.true()
+    })
+
+    it('should replace the contents of the destination', async () => {
+      writeFile('src/new.txt', 'new')
+      writeFile('dest/stale.txt', 'stale')
+
+      await unpackArchive(await packDirectory(ospath.join(workDir, 'src')), ospath.join(workDir, 'dest'))
+      expect(readFiles(ospath.join(workDir, 'dest'))).to.deep.equal({ 'new.txt': 'new' })
+    })
+
+    it('should reject entries that resolve outside the destination', async () => {
+      const header = Buffer.alloc(512)
+      header.write('../escape.txt', 0, 'utf8')
+      header.write('0000644\0', 100, 'ascii')
+      header.write('00000000001\0', 124, 'ascii')
+      header.write('0', 156, 'ascii')
+      const archive = zlib.gzipSync(Buffer.concat([header, Buffer.from('x'), Buffer.alloc(511), Buffer.alloc(1024)]))
+
+      expect(await trapAsyncError(unpackArchive, archive, ospath.join(workDir, 'dest'))).to.throw(
+        'Archive entry ../escape.txt resolves outside'
+      )
+      expect(fs.existsSync(ospath.join(workDir, 'escape.txt'))).to.be.false()
+    })
+
+    it('should restore the files of a brotli-compressed archive', async () => {
+      writeFile('src/index.html', '<html></html>')
+      writeFile('src/api/a.html', 'a')
+
+      const archive = await packDirectory(ospath.join(workDir, 'src'), { compression: 'brotli' })
+      expect(zlib.brotliDecompressSync(archive).length % 512).to.equal(0)
+      await unpackArchive(archive, ospath.join(workDir, 'dest'), { compression: 'brotli' })
+      expect(readFiles(ospath.join(workDir, 'dest'))).to.deep.equal(readFiles(ospath.join(workDir, 'src')))
+    })
+
+    it('should reject unsupported compression formats', async () => {
+      writeFile('src/index.html', '<html></html>')
+      expect(await trapAsyncError(packDirectory, ospath.join(workDir, 'src'), { compression: 'zstd' })).to.throw(
+        'Unsupported archive compression "zstd" (supported: gzip, brotli)'
+      )
+    })
+
+    it('should reject a truncated archive', async () => {
+      writeFile('src/index.html', 'x'.repeat(2000))
+      const tar = zlib.gunzipSync(await packDirectory(ospath.join(workDir, 'src')))
+      const archive = zlib.gzipSync(tar.subarray(0, 1024))
+
+      expect(await trapAsyncError(unpackArchive, archive, ospath.join(workDir, 'dest'))).to.throw(
+        'Unexpected end of archive'
+      )
+    })
+
+    it('should unpack an archive from a stream, reading the stream to its end', async () => {
+      writeFile('src/index.html', '<html></html>')
+      const tar = zlib.gunzipSync(await packDirectory(ospath.join(workDir, 'src')))
+      // Like GNU tar, pad the archive after its end blocks
+      const archive = zlib.gzipSync(Buffer.concat([tar, Buffer.alloc(8192)]))
+      const source = Readable.from([archive.subarray(0, 20), archive.subarray(20)])
+
+      expect(await unpackArchive(source, ospath.join(workDir, 'dest'))).to.equal(1)
+      expect(source.readableEnded).to.be.true()
+      expect(readFiles(ospath.join(workDir, 'dest'))).to.deep.equal(readFiles(ospath.join(workDir, 'src')))
+    })
+  })
+
+  describe('writeArchive and extractArchive', () => {
+    it('should stream a directory to an archive file and back', async () => {
+      writeFile('src/index.html', '<html></html>')
+      writeFile('src/api/a.html', 'a')
+      fs.chmodSync(ospath.join(workDir, 'src/api/a.html'), 0o755)
+      writeFile('dest/stale.txt', 'stale')
+      const archivePath = ospath.join(workDir, 'cache/output.tar.br')
+
+      const manifest = await writeArchive(ospath.join(workDir, 'src'), archivePath, { compression: 'brotli' })
+      expect(manifest).to.deep.equal({
+        compression: 'brotli',
+        size: fs.statSync(archivePath).size,
+        files: [
+          { path: 'api/a.html', size: 1, mode: '755' },
+          { path: 'index.html', size: 13, mode: '644' },
+        ],
+      })
+      expect(fs.readdirSync(ospath.join(workDir, 'cache'))).to.deep.equal(['output.tar.br'])
+
+      const fileCount = await extractArchive(archivePath, ospath.join(workDir, 'dest'), { compression: 'brotli' })
+      expect(fileCount).to.equal(2)
+      expect(readFiles(ospath.join(workDir, 'dest'))).to.deep.equal(readFiles(ospath.join(workDir, 'src')))
+    })
+
+    it('should write the same archive as packDirectory', async () => {
+      writeFile('src/index.html', '<html></html>')
+      const archivePath = ospath.join(workDir, 'output.tar.gz')
+      await writeArchive(ospath.join(workDir, 'src'), archivePath)
+      expect(fs.readFileSync(archivePath).equals(await packDirectory(ospath.join(workDir, 'src')))).to.be.true()
+    })
+
+    it('should extract archives larger than a stream chunk', async () => {
+      const content = Buffer.alloc(200 * 1024, 'abcdefghij')
+      writeFile('src/big.bin', content)
+      writeFile('src/small.txt', 'small')
+      const archivePath = ospath.join(workDir, 'output.tar.gz')
+      await writeArchive(ospath.join(workDir, 'src'), archivePath)
+
+      await extractArchive(archivePath, ospath.join(workDir, 'dest'))
+      expect(fs.readFileSync(ospath.join(workDir, 'dest/big.bin')).equals(content)).to.be.true()
+      expect(fs.readFileSync(ospath.join(workDir, 'dest/small.txt'), 'utf8')).to.equal('small')
+    })
+
+    it('should compute the digest of the archive while writing it', async () => {
+      writeFile('src/index.html', '<html></html>')
+      const archivePath = ospath.join(workDir, 'output.tar.gz')
+      const { digest } = await writeArchive(ospath.join(workDir, 'src'), archivePath, { digestAlgorithm: 'sha256' })
+      expect(digest).to.equal(crypto.createHash('sha256').update(fs.readFileSync(archivePath)).digest('hex'))
+    })
+
+    it('should not leave a partial archive behind when packing fails', async () => {
+      const archivePath = ospath.join(workDir, 'cache/output.tar.gz')
+      expect(await trapAsyncError(writeArchive, ospath.join(workDir, 'missing'), archivePath)).to.throw('ENOENT')
+      expect(fs.readdirSync(ospath.join(workDir, 'cache'))).to.be.empty()
+    })
+
+    it('should reject a missing archive file', async () => {
+      const archivePath = ospath.join(workDir, 'missing.tar.gz')
+      expect(await trapAsyncError(extractArchive, archivePath, ospath.join(workDir, 'dest'))).to.throw('ENOENT')
+    })
+  })
+})
@@ -5,7 +5,19 @@ const { expect, cleanDir } = require('../harness')
 const fs = require('fs')
 const os = require('os')
 const ospath = require('node:path')
-const { loadPointerFile, savePointerFile, restoreFilesToWorktree } = require('../../lib/utils/cache')
+const { KEY_VERSION } = require('../../lib/utils/hash')
+const {
+  loadPointerFile,
+  isPointerCurrent,
+  usesHashAlgorithm,
+  findLatestPointer,
+  diffPointer,
+  savePointerFile,
+  saveReport,
+  loadHashMemo,
+  saveHashMemo,
+  restoreFilesToWorktree,
+} = require('../../lib/utils/cache')
 
 describe('utils/cache', () => {
   let workDir
@@ -63,6 +75,112 @@ describe('utils/cache', () => {
     })
   })
 
+  describe('isPointerCurrent', () => {
+    it('should accept pointer created with current key scheme', () => {
+      expect(isPointerCurrent({ keyVersion: KEY_VERSION, outputDir: 'abc123' })).to.be.true()
+    })
+
+    it('should reject pointer without key scheme version', () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      expect(isPointerCurrent({ outputDir: 'abc123' }, logger)).to.be.false()
+      expect(messages.some((m) => m.includes('key scheme v1'))).to.be.true()
+    })
+
+    it('should reject pointer from another key scheme version without logger', () => {
+      expect(isPointerCurrent({ keyVersion: KEY_VERSION + 1, outputDir: 'abc123' })).to.be.false()
+    })
+  })
+
+  describe('usesHashAlgorithm', () => {
+    it('should accept pointer created with the given algorithm', () => {
+      expect(usesHashAlgorithm({ hashAlgorithm: 'sha512', outputDir: 'abc123' }, 'sha512')).to.be.true()
+    })
+
+    it('should treat pointer without hash algorithm as sha256', () => {
+      expect(usesHashAlgorithm({ outputDir: 'abc123' }, 'sha256')).to.be.true()
+      expect(usesHashAlgorithm({ outputDir: 'abc123' }, 'sha512')).to.be.false()
+    })
+
+    it('should log when rejecting pointer created with another algorithm', () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      expect(usesHashAlgorithm({ hashAlgorithm: 'sha512', outputDir: 'abc123' }, 'blake2b512', logger)).to.be.false()
+      expect(messages).to.include('Ignoring pointer hashed with sha512 (current: blake2b512)')
+    })
+  })
+
+  describe('findLatestPointer', () => {
+    const writePointer = (name, pointer, mtime) => {
+      const pointerPath = ospath.join(workDir, name)
+      fs.writeFileSync(pointerPath, JSON.stringify(pointer), 'utf8')
+      fs.utimesSync(pointerPath, mtime, mtime)
+    }
+
+    it('should load the most recently written pointer', () => {
+      writePointer('aaa.json', { outputDir: 'aaa' }, new Date('2024-01-02'))
+      writePointer('bbb.json', { outputDir: 'bbb' }, new Date('2024-01-03'))
+      writePointer('ccc.json', { outputDir: 'ccc' }, new Date('2024-01-01'))
+      fs.writeFileSync(ospath.join(workDir, 'notes.txt'), 'not a pointer', 'utf8')
+
+      expect(findLatestPointer(workDir)).to.deep.equal({ outputDir: 'bbb' })
+    })
+
+    it('should return null when the entry has no pointers', () => {
+      expect(findLatestPointer(workDir)).to.be.null()
+      expect(findLatestPointer(ospath.join(workDir, 'missing'))).to.be.null()
+    })
+  })
+
+  describe('diffPointer', () => {
+    const pointer = {
+      outputDir: 'abc123',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      sources: { 'src/main.c': 'h1', 'src/old.c': 'h2', 'include/a.h': 'h3' },
+      inputs: { run: { command: 'make docs', dir: 'docs' }, hashEnv: { BOARD: 'nrf52' }, cacheVersion: '1' },
+    }
+
+    it('should report added, removed and changed sources', () => {
+      const sourceHashes = { 'src/main.c': 'h1', 'include/a.h': 'h4', 'src/new.c': 'h5' }
+      const changes = diffPointer(pointer, sourceHashes, pointer.inputs)
+      expect(changes).to.deep.equal({
+        previous: { contentHash: 'abc123', timestamp: '2024-01-01T00:00:00.000Z' },
+        sources: { added: ['src/new.c'], removed: ['src/old.c'], changed: ['include/a.h'] },
+        inputs: [],
+      })
+    })
+
+    it('should report changed inputs by property', () => {
+      const keyInputs = {
+        run: { command: 'make docs SPHINXOPTS=-W', dir: 'docs' },
+        hashEnv: { BOARD: 'nrf53' },
+        toolVersions: { 'doxygen --version': '1.9.8' },
+      }
+      const changes = diffPointer(pointer, pointer.sources, keyInputs)
+      expect(changes.inputs).to.deep.equal(['cacheVersion', 'hashEnv.BOARD', 'run.command', 'toolVersions'])
+    })
+
+    it('should tolerate pointers without sources or inputs', () => {
+      const changes = diffPointer({ outputDir: 'abc123' }, { 'src/main.c': 'h1' }, { run: { command: 'make' } })
+      expect(changes.sources.added).to.deep.equal(['src/main.c'])
+      expect(changes.inputs).to.deep.equal(['run'])
+    })
+  })
+
+  describe('saveReport', () => {
+    it('should write the entries with a timestamp, creating directories', () => {
+      const reportPath = ospath.join(workDir, 'build/report.json')
+      const entries = [{ component: 'comp', key: 'build', result: 'hit', contentHash: 'abc123' }]
+      saveReport(reportPath, entries)
+
+      const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'))
+      expect(report.entries).to.deep.equal(entries)
+      expect(report.timestamp).to.be.a('string')
+    })
+  })
+
   describe('savePointerFile', () => {
     it('should save pointer file to disk', () => {
       const pointerPath = ospath.join(workDir, 'pointer.json')
@@ -91,6 +209,60 @@ describe('utils/cache', () => {
     })
   })
 
+  describe('loadHashMemo', () => {
+    it('should return empty memo when file does not exist', () => {
+      const memoPath = ospath.join(workDir, 'memo', 'abc.json')
+      expect(loadHashMemo(memoPath)).to.deep.equal({ path: memoPath, files: {}, dirty: false })
+    })
+
+    it('should load memoized files', () => {
+      const memoPath = ospath.join(workDir, 'memo.json')
+      const files = { 'a.txt': { size: 1, mtimeMs: 2, ino: 3, hash: 'abc' } }
+      fs.writeFileSync(memoPath, JSON.stringify({ files }), 'utf8')
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      expect(loadHashMemo(memoPath, logger).files).to.deep.equal(files)
+      expect(messages.some((m) => m.includes('Loaded hash memo with 1 file(s)'))).to.be.true()
+    })
+
+    it('should return empty memo and warn for invalid JSON', () => {
+      const memoPath = ospath.join(workDir, 'memo.json')
+      fs.writeFileSync(memoPath, 'not valid json', 'utf8')
+      const messages = []
+      const logger = { warn: (msg) => messages.push(msg) }
+
+      expect(loadHashMemo(memoPath, logger).files).to.deep.equal({})
+      expect(messages.some((m) => m.includes('Failed to read hash memo'))).to.be.true()
+    })
+
+    it('should ignore memo file without files object', () => {
+      const memoPath = ospath.join(workDir, 'memo.json')
+      fs.writeFileSync(memoPath, JSON.stringify({ files: 'nope' }), 'utf8')
+      expect(loadHashMemo(memoPath).files).to.deep.equal({})
+    })
+  })
+
+  describe('saveHashMemo', () => {
+    it('should write dirty memo and reset dirty flag', () => {
+      const memoPath = ospath.join(workDir, 'memo', 'abc.json')
+      const memo = { path: memoPath, files: { 'a.txt': { size: 1, mtimeMs: 2, ino: 3, hash: 'abc' } }, dirty: true }
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      saveHashMemo(memo, logger)
+      expect(JSON.parse(fs.readFileSync(memoPath, 'utf8'))).to.deep.equal({ files: memo.files })
+      expect(memo.dirty).to.be.false()
+      expect(messages.some((m) => m.includes('Saved hash memo'))).to.be.true()
+    })
+
+    it('should not write memo that has not changed', () => {
+      const memoPath = ospath.join(workDir, 'memo.json')
+      saveHashMemo({ path: memoPath, files: {}, dirty: false })
+      expect(fs.existsSync(memoPath)).to.be.false()
+    })
+  })
+
   describe('restoreFilesToWorktree', () => {
     it('should return 0 when patterns is empty', () => {
       expect(restoreFilesToWorktree(workDir, workDir, [])).to.equal(0)
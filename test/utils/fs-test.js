@@ -11,6 +11,7 @@ const {
   checkOutputsExist,
   copyDirectory,
   findFilesMatchingPattern,
+  resolveModulePath,
 } = require('../../lib/utils/fs')
 
 describe('utils/fs', () => {
@@ -216,6 +217,24 @@ describe('utils/fs', () => {
     })
   })
 
+  describe('resolveModulePath', () => {
+    it('should resolve relative and absolute paths from the base directory', () => {
+      expect(resolveModulePath('./lib/store.js', '/playbook')).to.equal(ospath.resolve('/playbook/lib/store.js'))
+      expect(resolveModulePath('/opt/store.js', '/playbook')).to.equal(ospath.resolve('/opt/store.js'))
+    })
+
+    it('should resolve package names from the base directory', () => {
+      const packageDir = ospath.join(workDir, 'node_modules/some-store')
+      fs.mkdirSync(packageDir, { recursive: true })
+      fs.writeFileSync(ospath.join(packageDir, 'index.js'), 'module.exports = {}\n', 'utf8')
+      expect(resolveModulePath('some-store', workDir)).to.equal(ospath.join(packageDir, 'index.js'))
+    })
+
+    it('should throw when a package cannot be found', () => {
+      expect(() => resolveModulePath('missing-store', workDir)).to.throw("Cannot find module 'missing-store'")
+    })
+  })
+
   describe('findFilesMatchingPattern', () => {
     it('should find files matching glob pattern', () => {
       fs.writeFileSync(ospath.join(workDir, 'test.txt'), 'content', 'utf8')
@@ -1,10 +1,19 @@
 /* eslint-env mocha */
 'use strict'
 
-const { expect } = require('../harness')
+const { expect, cleanDir } = require('../harness')
+const fs = require('fs')
+const os = require('os')
 const ospath = require('node:path')
 const proxyquire = require('proxyquire')
-const { posixify, generateWorktreeFolderName, isLocalDevelopment, buildRef } = require('../../lib/utils/git')
+const git = require('isomorphic-git')
+const {
+  posixify,
+  generateWorktreeFolderName,
+  isLocalDevelopment,
+  buildRef,
+  readSubmoduleCommits,
+} = require('../../lib/utils/git')
 
 describe('utils/git', () => {
   describe('posixify', () => {
@@ -145,4 +154,75 @@ describe('utils/git', () => {
       expect(buildRef('tag', 'v1.0.0')).to.equal('refs/tags/v1.0.0')
     })
   })
+
+  describe('readSubmoduleCommits', () => {
+    const sdkCommit = '4bd2cf51a46c0d79737dbb8e19692377ed121d4b'
+    const author = { name: 'Test', email: 'test@example.org' }
+    let workDir
+
+    beforeEach(async () => {
+      workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'git-test-'))
+      await git.init({ fs, dir: workDir })
+      fs.writeFileSync(ospath.join(workDir, 'README.md'), '# Test')
+      await git.add({ fs, dir: workDir, filepath: 'README.md' })
+      await git.updateIndex({ fs, dir: workDir, filepath: 'vendor/sdk', oid: sdkCommit, mode: 0o160000, add: true })
+      await git.commit({ fs, dir: workDir, message: 'init', author })
+    })
+
+    afterEach(async () => {
+      await cleanDir(workDir)
+    })
+
+    it('should read the commit recorded for a submodule without a checkout', async () => {
+      const commits = await readSubmoduleCommits(workDir, ['vendor/sdk', './vendor/sdk/'])
+      expect(commits).to.deep.equal(
+        new Map([
+          ['vendor/sdk', sdkCommit],
+          ['./vendor/sdk/', sdkCommit],
+        ])
+      )
+    })
+
+    it('should omit paths that are not submodules', async () => {
+      const commits = await readSubmoduleCommits(workDir, ['README.md', 'vendor', 'vendor/other', 'lib/sdk'])
+      expect(commits.size).to.equal(0)
+    })
+
+    it('should warn and return an empty map when the worktree is not a git repository', async () => {
+      const messages = []
+      const logger = { warn: (msg) => messages.push(msg) }
+      const commits = await readSubmoduleCommits(ospath.join(workDir, 'vendor'), ['sdk'], logger)
+      expect(commits.size).to.equal(0)
+      expect(messages.some((m) => m.includes('Failed to read submodule commits'))).to.be.true()
+    })
+
+    it('should read through a separate gitdir at the given ref when HEAD is not updated', async () => {
+      // Remote build layout: the worktree has no .git and HEAD in the gitdir still points at the old commit
+      const worktree = ospath.join(workDir, 'worktree')
+      const gitdir = ospath.join(workDir, 'repo.git')
+      const bumpedCommit = '0000000000000000000000000000000000000001'
+      await git.init({ fs, dir: worktree, gitdir, defaultBranch: 'main' })
+      await git.updateIndex({
+        fs,
+        dir: worktree,
+        gitdir,
+        filepath: 'vendor/sdk',
+        oid: sdkCommit,
+        mode: 0o160000,
+        add: true,
+      })
+      const oldCommit = await git.commit({ fs, dir: worktree, gitdir, message: 'init', author })
+      await git.updateIndex({ fs, dir: worktree, gitdir, filepath: 'vendor/sdk', oid: bumpedCommit, mode: 0o160000 })
+      await git.commit({ fs, dir: worktree, gitdir, message: 'Update sdk', author })
+      fs.writeFileSync(ospath.join(gitdir, 'HEAD'), `${oldCommit}\n`)
+
+      const atBranch = await readSubmoduleCommits(worktree, ['vendor/sdk'], undefined, {
+        gitdir,
+        ref: 'refs/heads/main',
+      })
+      expect(atBranch.get('vendor/sdk')).to.equal(bumpedCommit)
+      const atHead = await readSubmoduleCommits(worktree, ['vendor/sdk'], undefined, { gitdir })
+      expect(atHead.get('vendor/sdk')).to.equal(sdkCommit)
+    })
+  })
 })
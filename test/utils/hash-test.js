@@ -5,7 +5,22 @@ const { expect, cleanDir } = require('../harness')
 const fs = require('fs')
 const os = require('os')
 const ospath = require('node:path')
-const { computeHashes, computeContentHash, computeHash } = require('../../lib/utils/hash')
+const proxyquire = require('proxyquire')
+const git = require('isomorphic-git')
+const {
+  KEY_VERSION,
+  ABSENT_SOURCE_HASH,
+  mapConcurrent,
+  computeHashes,
+  hashFile,
+  computeGitBlobId,
+  computeGitObjectHashes,
+  computeFileMetadata,
+  computeContentHash,
+  computeHash,
+  validateHashAlgorithm,
+  stableStringify,
+} = require('../../lib/utils/hash')
 
 describe('utils/hash', () => {
   let workDir
@@ -19,36 +34,43 @@ describe('utils/hash', () => {
   })
 
   describe('computeHashes', () => {
-    it('should compute hashes for existing files', () => {
+    it('should compute hashes for existing files', async () => {
       fs.writeFileSync(ospath.join(workDir, 'test.txt'), 'hello world', 'utf8')
-      const hashes = computeHashes(workDir, ['test.txt'])
+      const hashes = await computeHashes(workDir, ['test.txt'])
       expect(hashes).to.be.an('object')
       expect(hashes['test.txt']).to.have.lengthOf(64)
     })
 
-    it('should return null when file is missing', () => {
-      const hashes = computeHashes(workDir, ['nonexistent.txt'])
+    it('should accept absolute source paths', async () => {
+      const filePath = ospath.join(workDir, 'test.txt')
+      fs.writeFileSync(filePath, 'hello world', 'utf8')
+      const hashes = await computeHashes(os.tmpdir(), [filePath])
+      expect(hashes).to.deep.equal({ [filePath]: computeHash('hello world') })
+    })
+
+    it('should return null when file is missing', async () => {
+      const hashes = await computeHashes(workDir, ['nonexistent.txt'])
       expect(hashes).to.be.null()
     })
 
-    it('should log when listing worktree contents fails', () => {
+    it('should log when listing worktree contents fails', async () => {
       const messages = []
       const logger = { debug: (msg) => messages.push(msg) }
       const fakeWorktree = ospath.join(workDir, 'nonexistent-worktree')
 
-      computeHashes(fakeWorktree, ['test.txt'], logger, 'comp', 'key')
+      await computeHashes(fakeWorktree, ['test.txt'], logger, 'comp', 'key')
 
       expect(messages.some((m) => m.includes('Failed to list worktree contents'))).to.be.true()
     })
 
-    it('should log worktree contents when source file is missing', () => {
+    it('should log worktree contents when source file is missing', async () => {
       const messages = []
       const logger = { debug: (msg) => messages.push(msg) }
       fs.writeFileSync(ospath.join(workDir, 'existing.txt'), 'content', 'utf8')
       const nestedDir = ospath.join(workDir, 'subdir')
       fs.mkdirSync(nestedDir)
 
-      const result = computeHashes(workDir, ['nonexistent.txt'], logger, 'comp', 'key')
+      const result = await computeHashes(workDir, ['nonexistent.txt'], logger, 'comp', 'key')
 
       expect(result).to.be.null()
       expect(messages.some((m) => m.includes('Missing:'))).to.be.true()
@@ -57,12 +79,12 @@ describe('utils/hash', () => {
       expect(messages.some((m) => m.includes('subdir/'))).to.be.true()
     })
 
-    it('should log found files with hash prefix', () => {
+    it('should log found files with hash prefix', async () => {
       const messages = []
       const logger = { debug: (msg) => messages.push(msg) }
       fs.writeFileSync(ospath.join(workDir, 'test.txt'), 'hello world', 'utf8')
 
-      const hashes = computeHashes(workDir, ['test.txt'], logger, 'comp', 'key')
+      const hashes = await computeHashes(workDir, ['test.txt'], logger, 'comp', 'key')
 
       expect(hashes).to.be.an('object')
       expect(messages.some((m) => m.includes('Found: test.txt'))).to.be.true()
@@ -70,7 +92,450 @@ describe('utils/hash', () => {
     })
   })
 
+  describe('mapConcurrent', () => {
+    it('should return results in item order', async () => {
+      const delays = [30, 0, 10, 20]
+      const results = await mapConcurrent(delays, 2, async (delay, idx) => {
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        return idx
+      })
+      expect(results).to.deep.equal([0, 1, 2, 3])
+    })
+
+    it('should not exceed the concurrency limit', async () => {
+      let active = 0
+      let peak = 0
+      await mapConcurrent(Array.from({ length: 10 }), 3, async () => {
+        peak = Math.max(peak, ++active)
+        await new Promise((resolve) => setImmediate(resolve))
+        active--
+      })
+      expect(peak).to.equal(3)
+    })
+
+    it('should handle an empty list', async () => {
+      expect(await mapConcurrent([], 4, () => 'unused')).to.deep.equal([])
+    })
+
+    it('should reject when the mapping function rejects', async () => {
+      const err = await mapConcurrent([1, 2], 2, async () => {
+        throw new Error('boom')
+      }).catch((e) => e)
+      expect(err.message).to.equal('boom')
+    })
+  })
+
+  describe('hashFile', () => {
+    it('should use the given algorithm', async () => {
+      const filePath = ospath.join(workDir, 'test.txt')
+      fs.writeFileSync(filePath, 'hello world')
+      expect(await hashFile(filePath, 'blake2b512')).to.equal(computeHash('hello world', 'blake2b512'))
+    })
+
+    it('should match the digest of the buffered file content', async () => {
+      const content = Buffer.alloc(3 * 1024 * 1024 + 17, 'ab')
+      const filePath = ospath.join(workDir, 'large.bin')
+      fs.writeFileSync(filePath, content)
+      expect(await hashFile(filePath)).to.equal(computeHash(content))
+    })
+
+    it('should hash an empty file', async () => {
+      const filePath = ospath.join(workDir, 'empty.txt')
+      fs.writeFileSync(filePath, '')
+      expect(await hashFile(filePath)).to.equal(computeHash(''))
+    })
+  })
+
+  describe('computeHashes with concurrency', () => {
+    it('should produce the same hashes regardless of concurrency', async () => {
+      const sources = []
+      for (let i = 0; i < 20; i++) {
+        fs.writeFileSync(ospath.join(workDir, `file-${i}.txt`), `content ${i}`.repeat(i * 100), 'utf8')
+        sources.push(`file-${i}.txt`)
+      }
+
+      const sequential = await computeHashes(workDir, sources, undefined, undefined, undefined, { concurrency: 1 })
+      const parallel = await computeHashes(workDir, sources, undefined, undefined, undefined, { concurrency: 8 })
+
+      expect(parallel).to.deep.equal(sequential)
+      expect(Object.keys(parallel)).to.deep.equal(sources)
+      expect(parallel['file-3.txt']).to.equal(computeHash('content 3'.repeat(300)))
+    })
+
+    it('should hash files with the given algorithm', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'a', 'utf8')
+      const hashes = await computeHashes(workDir, ['a.txt'], undefined, undefined, undefined, { algorithm: 'sha512' })
+      expect(hashes['a.txt']).to.equal(computeHash('a', 'sha512'))
+    })
+
+    it('should return null without hashing when any source is missing', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'a', 'utf8')
+      const memo = { files: {}, dirty: false }
+      const hashes = await computeHashes(workDir, ['a.txt', 'missing.txt'], undefined, undefined, undefined, { memo })
+      expect(hashes).to.be.null()
+      expect(memo.dirty).to.be.false()
+    })
+  })
+
+  describe('computeHashes with missing sources', () => {
+    beforeEach(() => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'a', 'utf8')
+    })
+
+    it('should record absent optional sources with a stable marker', async () => {
+      const isOptional = (source) => source === 'CHANGELOG.md'
+      const hashes = await computeHashes(workDir, ['a.txt', 'CHANGELOG.md'], undefined, undefined, undefined, {
+        isOptional,
+      })
+      expect(hashes).to.deep.equal({ 'a.txt': computeHash('a'), 'CHANGELOG.md': ABSENT_SOURCE_HASH })
+      expect(ABSENT_SOURCE_HASH).to.equal('absent')
+    })
+
+    it('should hash optional sources that exist', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'CHANGELOG.md'), '# Changelog', 'utf8')
+      const hashes = await computeHashes(workDir, ['CHANGELOG.md'], undefined, undefined, undefined, {
+        isOptional: () => true,
+      })
+      expect(hashes['CHANGELOG.md']).to.equal(computeHash('# Changelog'))
+    })
+
+    it('should leave out missing required sources with the ignore policy', async () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+      const hashes = await computeHashes(workDir, ['a.txt', 'missing.txt'], logger, 'comp', 'key', {
+        missing: 'ignore',
+      })
+      expect(hashes).to.deep.equal({ 'a.txt': computeHash('a') })
+      expect(messages.some((m) => m.includes('Ignoring 1 missing source(s): missing.txt'))).to.be.true()
+    })
+
+    it('should reject when required sources are missing with the error policy', async () => {
+      const err = await computeHashes(workDir, ['a.txt', 'x.txt', 'y.txt'], undefined, undefined, undefined, {
+        missing: 'error',
+      }).catch((e) => e)
+      expect(err.message).to.equal('Missing required source(s): x.txt, y.txt')
+    })
+
+    it('should return null when required sources are missing with the miss policy', async () => {
+      const hashes = await computeHashes(workDir, ['a.txt', 'missing.txt'], undefined, undefined, undefined, {
+        missing: 'miss',
+      })
+      expect(hashes).to.be.null()
+    })
+
+    it('should apply the policies to git object hashes', async () => {
+      const hashes = await computeGitObjectHashes(
+        workDir,
+        ['a.txt', 'CHANGELOG.md', 'x.txt'],
+        undefined,
+        undefined,
+        undefined,
+        {
+          isOptional: (source) => source === 'CHANGELOG.md',
+          missing: 'ignore',
+        }
+      )
+      expect(hashes).to.deep.equal({ 'a.txt': computeGitBlobId(Buffer.from('a')), 'CHANGELOG.md': ABSENT_SOURCE_HASH })
+    })
+  })
+
+  describe('computeHashes with hash memo', () => {
+    const createOldFile = (filename, content) => {
+      const filePath = ospath.join(workDir, filename)
+      fs.writeFileSync(filePath, content, 'utf8')
+      const past = new Date(Date.now() - 60 * 1000)
+      fs.utimesSync(filePath, past, past)
+      return filePath
+    }
+
+    it('should record stat data and digest of hashed files', async () => {
+      const filePath = createOldFile('test.txt', 'hello world')
+      const memo = { files: {}, dirty: false }
+
+      const hashes = await computeHashes(workDir, ['test.txt'], undefined, undefined, undefined, { memo })
+      const { size, mtimeMs, ino } = fs.statSync(filePath)
+      expect(memo.files['test.txt']).to.deep.equal({ size, mtimeMs, ino, hash: hashes['test.txt'] })
+      expect(memo.dirty).to.be.true()
+    })
+
+    it('should reuse memoized digest when stat data is unchanged', async () => {
+      const filePath = createOldFile('test.txt', 'hello world')
+      const { size, mtimeMs, ino } = fs.statSync(filePath)
+      const memo = { files: { 'test.txt': { size, mtimeMs, ino, hash: 'memoized' } }, dirty: false }
+
+      const hashes = await computeHashes(workDir, ['test.txt'], undefined, undefined, undefined, { memo })
+      expect(hashes['test.txt']).to.equal('memoized')
+      expect(memo.dirty).to.be.false()
+    })
+
+    it('should rehash file when stat data changed', async () => {
+      const filePath = createOldFile('test.txt', 'hello world')
+      const { size, ino } = fs.statSync(filePath)
+      const memo = { files: { 'test.txt': { size, mtimeMs: 0, ino, hash: 'memoized' } }, dirty: false }
+
+      const hashes = await computeHashes(workDir, ['test.txt'], undefined, undefined, undefined, { memo })
+      expect(hashes['test.txt']).to.equal(computeHash('hello world'))
+      expect(memo.files['test.txt'].hash).to.equal(computeHash('hello world'))
+    })
+
+    it('should rehash every file and warn about stale entries when verifying', async () => {
+      const filePath = createOldFile('test.txt', 'hello world')
+      const { size, mtimeMs, ino } = fs.statSync(filePath)
+      const memo = { files: { 'test.txt': { size, mtimeMs, ino, hash: 'memoized' } }, dirty: false }
+      const messages = []
+      const logger = { debug: () => {}, warn: (msg) => messages.push(msg) }
+
+      const hashes = await computeHashes(workDir, ['test.txt'], logger, 'comp', 'key', { memo, verify: true })
+      expect(hashes['test.txt']).to.equal(computeHash('hello world'))
+      expect(memo.files['test.txt'].hash).to.equal(computeHash('hello world'))
+      expect(messages.some((m) => m.includes('Hash memo was stale for test.txt'))).to.be.true()
+    })
+
+    it('should not memoize files modified within the racy window', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'fresh.txt'), 'just written', 'utf8')
+      const memo = { files: { 'fresh.txt': { size: 0, mtimeMs: 0, ino: 0, hash: 'old' } }, dirty: false }
+
+      const hashes = await computeHashes(workDir, ['fresh.txt'], undefined, undefined, undefined, { memo })
+      expect(hashes['fresh.txt']).to.equal(computeHash('just written'))
+      expect(memo.files).to.not.have.property('fresh.txt')
+    })
+  })
+
+  describe('computeHashes with normalizers', () => {
+    const normalize = (source) => (source.endsWith('.h') ? { lineEndings: true, trailingWhitespace: true } : undefined)
+
+    it('should hash the normalized content of matching files', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.h'), 'int x; \r\n', 'utf8')
+      fs.writeFileSync(ospath.join(workDir, 'b.c'), 'int y; \r\n', 'utf8')
+
+      const hashes = await computeHashes(workDir, ['a.h', 'b.c'], undefined, undefined, undefined, { normalize })
+      expect(hashes['a.h']).to.equal(computeHash('int x;\n'))
+      expect(hashes['b.c']).to.equal(computeHash('int y; \r\n'))
+    })
+
+    it('should not reuse memo entries recorded without normalizers', async () => {
+      const filePath = ospath.join(workDir, 'a.h')
+      fs.writeFileSync(filePath, 'int x; \r\n', 'utf8')
+      const past = new Date(Date.now() - 60 * 1000)
+      fs.utimesSync(filePath, past, past)
+      const memo = { files: {}, dirty: false }
+
+      await computeHashes(workDir, ['a.h'], undefined, undefined, undefined, { memo })
+      const hashes = await computeHashes(workDir, ['a.h'], undefined, undefined, undefined, { memo, normalize })
+      expect(hashes['a.h']).to.equal(computeHash('int x;\n'))
+      expect(memo.files['a.h'].variant).to.be.a('string')
+
+      const memoized = await computeHashes(workDir, ['a.h'], undefined, undefined, undefined, { memo, normalize })
+      expect(memoized['a.h']).to.equal(computeHash('int x;\n'))
+    })
+  })
+
+  describe('computeHashes with custom hashers', () => {
+    const depsHasher = {
+      name: 'deps',
+      moduleHash: 'abc',
+      hash: (source, content) => JSON.stringify(JSON.parse(content).dependencies),
+    }
+    const hasher = (source) => (source.endsWith('package.json') ? depsHasher : undefined)
+
+    it('should digest the canonical form returned by the hasher', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'package.json'), '{"version":"1.0.0","dependencies":{"a":"1"}}')
+      fs.writeFileSync(ospath.join(workDir, 'main.c'), 'int x;')
+
+      const hashes = await computeHashes(workDir, ['package.json', 'main.c'], undefined, undefined, undefined, {
+        hasher,
+      })
+      expect(hashes['package.json']).to.equal(computeHash('{"a":"1"}'))
+      expect(hashes['main.c']).to.equal(computeHash('int x;'))
+    })
+
+    it('should pass the relative source path and the content to the hasher', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'data.bin'), 'raw')
+      const calls = []
+      const recording = { name: 'rec', hash: (source, content) => calls.push([source, content]) && content }
+
+      await computeHashes(workDir, ['data.bin'], undefined, undefined, undefined, { hasher: () => recording })
+      expect(calls).to.have.lengthOf(1)
+      expect(calls[0][0]).to.equal('data.bin')
+      expect(Buffer.isBuffer(calls[0][1])).to.be.true()
+    })
+
+    it('should apply normalizers before the hasher', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'x\r\n')
+      const identity = { name: 'id', hash: (source, content) => content }
+
+      const hashes = await computeHashes(workDir, ['a.txt'], undefined, undefined, undefined, {
+        normalize: () => ({ lineEndings: true }),
+        hasher: () => identity,
+      })
+      expect(hashes['a.txt']).to.equal(computeHash('x\n'))
+    })
+
+    it('should reject when the hasher returns neither a string nor a Buffer', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'x')
+      const invalid = { name: 'invalid', hash: () => 42 }
+
+      const err = await computeHashes(workDir, ['a.txt'], undefined, undefined, undefined, {
+        hasher: () => invalid,
+      }).catch((e) => e)
+      expect(err.message).to.equal('Hasher "invalid" returned number for a.txt (expected a string or Buffer)')
+    })
+  })
+
+  describe('computeGitBlobId', () => {
+    it('should match git hash-object', () => {
+      expect(computeGitBlobId(Buffer.from('hello world'))).to.equal('95d09f2b10159347eece71399a7e2e907ea3df4f')
+      expect(computeGitBlobId(Buffer.alloc(0))).to.equal('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391')
+    })
+  })
+
+  describe('computeGitObjectHashes', () => {
+    const author = { name: 'Test', email: 'test@example.org' }
+
+    const commitFiles = async (files) => {
+      await git.init({ fs, dir: workDir })
+      for (const [filepath, content] of Object.entries(files)) {
+        fs.mkdirSync(ospath.dirname(ospath.join(workDir, filepath)), { recursive: true })
+        fs.writeFileSync(ospath.join(workDir, filepath), content)
+        await git.add({ fs, dir: workDir, filepath })
+      }
+      return git.commit({ fs, dir: workDir, message: 'init', author })
+    }
+
+    it('should use blob object IDs of tracked files', async () => {
+      await commitFiles({ 'include/a.h': '#pragma once\n', 'src/main.c': 'int main() {}\n' })
+      const headTree = await git.readTree({
+        fs,
+        dir: workDir,
+        oid: await git.resolveRef({ fs, dir: workDir, ref: 'HEAD' }),
+      })
+      const srcTree = await git.readTree({ fs, dir: workDir, oid: headTree.tree.find((e) => e.path === 'src').oid })
+
+      const hashes = await computeGitObjectHashes(workDir, ['src/main.c', 'include/a.h'])
+      expect(hashes['src/main.c']).to.equal(srcTree.tree.find((e) => e.path === 'main.c').oid)
+      expect(hashes['include/a.h']).to.equal(computeGitBlobId(Buffer.from('#pragma once\n')))
+    })
+
+    it('should take object IDs of unchanged files from the index without reading them', async () => {
+      const filePath = ospath.join(workDir, 'src/main.c')
+      fs.mkdirSync(ospath.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, 'int main() {}\n')
+      const lastHour = Date.now() / 1000 - 3600
+      fs.utimesSync(filePath, lastHour, lastHour)
+      await git.init({ fs, dir: workDir })
+      await git.add({ fs, dir: workDir, filepath: 'src/main.c' })
+      const reads = []
+      const createReadStream = (file, ...args) => reads.push(file) && fs.createReadStream(file, ...args)
+      const hash = proxyquire('../../lib/utils/hash', { fs: { createReadStream } })
+
+      const hashes = await hash.computeGitObjectHashes(workDir, ['src/main.c'])
+      expect(hashes['src/main.c']).to.equal(computeGitBlobId(Buffer.from('int main() {}\n')))
+      expect(reads).to.be.empty()
+
+      fs.utimesSync(filePath, lastHour + 1, lastHour + 1)
+      expect(await hash.computeGitObjectHashes(workDir, ['src/main.c'])).to.deep.equal(hashes)
+      expect(reads).to.deep.equal([filePath])
+    })
+
+    it('should not write the git index', async () => {
+      await commitFiles({ 'include/a.h': '#pragma once\n' })
+      const indexPath = ospath.join(workDir, '.git', 'index')
+      const index = fs.readFileSync(indexPath)
+      const { mtimeMs } = fs.statSync(indexPath)
+      const nextMinute = Date.now() / 1000 + 60
+      fs.utimesSync(ospath.join(workDir, 'include/a.h'), nextMinute, nextMinute)
+
+      await computeGitObjectHashes(workDir, ['include/a.h'])
+      expect(fs.readFileSync(indexPath)).to.deep.equal(index)
+      expect(fs.statSync(indexPath).mtimeMs).to.equal(mtimeMs)
+    })
+
+    it('should hash the normalized content of tracked files', async () => {
+      await commitFiles({ 'src/main.c': 'int main() {}\r\n' })
+      const normalize = () => ({ lineEndings: true })
+
+      const hashes = await computeGitObjectHashes(workDir, ['src/main.c'], undefined, undefined, undefined, {
+        normalize,
+      })
+      expect(hashes['src/main.c']).to.equal(computeGitBlobId(Buffer.from('int main() {}\n')))
+    })
+
+    it('should hash modified and untracked files by content', async () => {
+      await commitFiles({ 'src/main.c': 'int main() {}\n' })
+      fs.writeFileSync(ospath.join(workDir, 'src/main.c'), 'int main() { return 1; }\n')
+      fs.writeFileSync(ospath.join(workDir, 'src/new.c'), 'void f() {}\n')
+
+      const hashes = await computeGitObjectHashes(workDir, ['src/main.c', 'src/new.c'])
+      expect(hashes).to.deep.equal({
+        'src/main.c': computeGitBlobId(Buffer.from('int main() { return 1; }\n')),
+        'src/new.c': computeGitBlobId(Buffer.from('void f() {}\n')),
+      })
+    })
+
+    it('should accept source paths with a leading ./', async () => {
+      await commitFiles({ 'src/main.c': 'int main() {}\n' })
+      const hashes = await computeGitObjectHashes(workDir, ['./src/main.c'])
+      expect(hashes['./src/main.c']).to.equal(computeGitBlobId(Buffer.from('int main() {}\n')))
+    })
+
+    it('should read object IDs through a git directory outside the worktree', async () => {
+      const worktree = ospath.join(workDir, 'worktree')
+      const gitdir = ospath.join(workDir, 'repo.git')
+      fs.mkdirSync(ospath.join(worktree, 'src'), { recursive: true })
+      fs.writeFileSync(ospath.join(worktree, 'src/main.c'), 'int main() {}\n')
+      await git.init({ fs, dir: worktree, gitdir })
+      await git.add({ fs, dir: worktree, gitdir, filepath: 'src/main.c' })
+      await git.commit({ fs, dir: worktree, gitdir, message: 'init', author })
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg), warn: (msg) => messages.push(msg) }
+
+      const hashes = await computeGitObjectHashes(worktree, ['src/main.c'], logger, 'comp', 'key', { gitdir })
+      expect(hashes['src/main.c']).to.equal(computeGitBlobId(Buffer.from('int main() {}\n')))
+      expect(messages.some((m) => m.includes('No git directory'))).to.be.false()
+
+      const fallbackHashes = await computeGitObjectHashes(worktree, ['src/main.c'], logger, 'comp', 'key')
+      expect(fallbackHashes).to.deep.equal(hashes)
+      expect(messages).to.include(`  No git directory at ${ospath.join(worktree, '.git')} - hashing source contents`)
+    })
+
+    it('should hash contents when worktree has no git directory', async () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+      fs.writeFileSync(ospath.join(workDir, 'test.txt'), 'hello world')
+
+      const hashes = await computeGitObjectHashes(workDir, ['test.txt'], logger, 'comp', 'key')
+      expect(hashes).to.deep.equal({ 'test.txt': '95d09f2b10159347eece71399a7e2e907ea3df4f' })
+      expect(messages.some((m) => m.includes('No git directory'))).to.be.true()
+      expect(messages.some((m) => m.includes('Found: test.txt'))).to.be.true()
+    })
+
+    it('should hash contents and warn when the git index cannot be read', async () => {
+      await commitFiles({ 'test.txt': 'hello world' })
+      fs.writeFileSync(ospath.join(workDir, '.git', 'index'), 'corrupt')
+      const messages = []
+      const logger = { debug: () => {}, warn: (msg) => messages.push(msg) }
+
+      const hashes = await computeGitObjectHashes(workDir, ['test.txt'], logger)
+      expect(hashes).to.deep.equal({ 'test.txt': '95d09f2b10159347eece71399a7e2e907ea3df4f' })
+      expect(messages.some((m) => m.includes('Failed to read git object IDs'))).to.be.true()
+    })
+
+    it('should return null when a source is missing', async () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      expect(await computeGitObjectHashes(workDir, ['missing.c'], logger, 'comp', 'key')).to.be.null()
+      expect(messages.some((m) => m.includes('Missing: missing.c'))).to.be.true()
+    })
+  })
+
   describe('computeContentHash', () => {
+    it('should use the given algorithm', () => {
+      const sourceHashes = { 'file1.txt': 'abc123' }
+      expect(computeContentHash(sourceHashes, {}, 'sha512')).to.have.lengthOf(128)
+      expect(computeContentHash(sourceHashes, {}, 'sha256')).to.equal(computeContentHash(sourceHashes, {}))
+    })
+
     it('should compute consistent hash from source hashes', () => {
       const sourceHashes = { 'file1.txt': 'abc123', 'file2.txt': 'def456' }
       const hash1 = computeContentHash(sourceHashes)
@@ -78,6 +543,120 @@ describe('utils/hash', () => {
       expect(hash1).to.equal(hash2)
       expect(hash1).to.have.lengthOf(64)
     })
+
+    it('should change when a source is renamed', () => {
+      const hash1 = computeContentHash({ 'include/a.h': 'abc123' })
+      const hash2 = computeContentHash({ 'include/b.h': 'abc123' })
+      expect(hash1).to.not.equal(hash2)
+    })
+
+    it('should change when the contents of two sources are swapped', () => {
+      const hash1 = computeContentHash({ 'a.h': 'abc123', 'b.h': 'def456' })
+      const hash2 = computeContentHash({ 'a.h': 'def456', 'b.h': 'abc123' })
+      expect(hash1).to.not.equal(hash2)
+    })
+
+    it('should not depend on source insertion order', () => {
+      const hash1 = computeContentHash({ 'a.h': 'abc123', 'b.h': 'def456' })
+      const hash2 = computeContentHash({ 'b.h': 'def456', 'a.h': 'abc123' })
+      expect(hash1).to.equal(hash2)
+    })
+
+    it('should differ from the unversioned key scheme', () => {
+      const legacyHash = computeHash('abc123')
+      expect(computeContentHash({ 'file1.txt': 'abc123' })).to.not.equal(legacyHash)
+      expect(KEY_VERSION).to.equal(2)
+    })
+
+    it('should change when key inputs change', () => {
+      const sourceHashes = { 'file1.txt': 'abc123' }
+      const hash1 = computeContentHash(sourceHashes, { run: { command: 'make' } })
+      const hash2 = computeContentHash(sourceHashes, { run: { command: 'make docs' } })
+      expect(hash1).to.not.equal(hash2)
+    })
+
+    it('should not depend on key input property order', () => {
+      const sourceHashes = { 'file1.txt': 'abc123' }
+      const hash1 = computeContentHash(sourceHashes, { run: { command: 'make', dir: 'docs' } })
+      const hash2 = computeContentHash(sourceHashes, { run: { dir: 'docs', command: 'make' } })
+      expect(hash1).to.equal(hash2)
+    })
+  })
+
+  describe('computeFileMetadata', () => {
+    it('should record the git file mode of each source', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'gen.sh'), '#!/bin/sh\n')
+      fs.writeFileSync(ospath.join(workDir, 'data.txt'), 'data')
+      fs.chmodSync(ospath.join(workDir, 'gen.sh'), 0o755)
+      fs.chmodSync(ospath.join(workDir, 'data.txt'), 0o644)
+
+      expect(await computeFileMetadata(workDir, ['gen.sh', 'data.txt'])).to.deep.equal({
+        'gen.sh': { mode: '100755' },
+        'data.txt': { mode: '100644' },
+      })
+    })
+
+    it('should ignore permission bits that git does not record', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'a.txt'), 'a')
+      fs.writeFileSync(ospath.join(workDir, 'b.txt'), 'b')
+      fs.writeFileSync(ospath.join(workDir, 'gen.sh'), '#!/bin/sh\n')
+      fs.chmodSync(ospath.join(workDir, 'a.txt'), 0o664)
+      fs.chmodSync(ospath.join(workDir, 'b.txt'), 0o600)
+      fs.chmodSync(ospath.join(workDir, 'gen.sh'), 0o775)
+
+      expect(await computeFileMetadata(workDir, ['a.txt', 'b.txt', 'gen.sh'])).to.deep.equal({
+        'a.txt': { mode: '100644' },
+        'b.txt': { mode: '100644' },
+        'gen.sh': { mode: '100755' },
+      })
+    })
+
+    it('should record the literal target of symlinks', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'src'))
+      fs.writeFileSync(ospath.join(workDir, 'src/real.c'), 'int x;')
+      fs.chmodSync(ospath.join(workDir, 'src/real.c'), 0o644)
+      fs.symlinkSync('real.c', ospath.join(workDir, 'src/link.c'))
+
+      const metadata = await computeFileMetadata(workDir, ['src/link.c'])
+      expect(metadata).to.deep.equal({ 'src/link.c': { mode: '120000', symlink: 'real.c' } })
+    })
+
+    it('should throw when a symlink points outside the worktree', async () => {
+      const outsideDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'hash-test-outside-'))
+      try {
+        fs.writeFileSync(ospath.join(outsideDir, 'secret.txt'), 'secret')
+        fs.symlinkSync(ospath.join(outsideDir, 'secret.txt'), ospath.join(workDir, 'link.txt'))
+
+        const err = await computeFileMetadata(workDir, ['link.txt']).catch((e) => e)
+        expect(err).to.be.an('error')
+        expect(err.message).to.include('Source link.txt resolves outside the worktree')
+      } finally {
+        await cleanDir(outsideDir)
+      }
+    })
+
+    it('should throw when a symlinked directory points outside the worktree', async () => {
+      const outsideDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'hash-test-outside-'))
+      try {
+        fs.writeFileSync(ospath.join(outsideDir, 'a.h'), '#pragma once')
+        fs.symlinkSync(outsideDir, ospath.join(workDir, 'include'))
+
+        const err = await computeFileMetadata(workDir, ['include/a.h']).catch((e) => e)
+        expect(err.message).to.include('Source include/a.h resolves outside the worktree')
+      } finally {
+        await cleanDir(outsideDir)
+      }
+    })
+  })
+
+  describe('stableStringify', () => {
+    it('should sort object keys at every level', () => {
+      expect(stableStringify({ b: 1, a: { d: [2, 1], c: 'x' } })).to.equal('{"a":{"c":"x","d":[2,1]},"b":1}')
+    })
+
+    it('should omit undefined object values and serialize undefined array items as null', () => {
+      expect(stableStringify({ a: undefined, b: [undefined] })).to.equal('{"b":[null]}')
+    })
   })
 
   describe('computeHash', () => {
@@ -102,5 +681,20 @@ describe('utils/hash', () => {
       const hash2 = computeHash('def')
       expect(hash1).to.not.equal(hash2)
     })
+
+    it('should use the given algorithm', () => {
+      expect(computeHash('test', 'sha512')).to.have.lengthOf(128)
+      expect(computeHash('test', 'sha512')).to.not.equal(computeHash('test', 'blake2b512'))
+    })
+  })
+
+  describe('validateHashAlgorithm', () => {
+    it('should return supported algorithms', () => {
+      expect(validateHashAlgorithm('blake2b512')).to.equal('blake2b512')
+    })
+
+    it('should throw on unsupported algorithms', () => {
+      expect(() => validateHashAlgorithm('md42')).to.throw('Unsupported hash algorithm "md42"')
+    })
   })
 })
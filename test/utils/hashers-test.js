@@ -0,0 +1,122 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir } = require('../harness')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const { loadHashers, parseHasherRules, createHasherResolver } = require('../../lib/utils/hashers')
+const { computeHash } = require('../../lib/utils/hash')
+
+describe('utils/hashers', () => {
+  let workDir
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'hashers-test-'))
+  })
+
+  afterEach(async () => {
+    await cleanDir(workDir)
+  })
+
+  const writeModule = (filename, source) => {
+    fs.mkdirSync(ospath.dirname(ospath.join(workDir, filename)), { recursive: true })
+    fs.writeFileSync(ospath.join(workDir, filename), source, 'utf8')
+  }
+
+  describe('loadHashers', () => {
+    it('should load modules exporting a function relative to the base directory', () => {
+      const source = 'module.exports = (source, content) => content.toString().trim()\n'
+      writeModule('hashers/trim.js', source)
+
+      const hashers = loadHashers({ trim: './hashers/trim.js' }, workDir)
+      expect(hashers.get('trim').hash('a.txt', Buffer.from(' x '))).to.equal('x')
+      expect(hashers.get('trim').moduleHash).to.equal(computeHash(source))
+    })
+
+    it('should load modules exporting an object with a hash function', () => {
+      writeModule('upper.js', 'module.exports = { hash: (source, content) => content.toString().toUpperCase() }\n')
+      const hashers = loadHashers({ upper: ospath.join(workDir, 'upper.js') }, workDir)
+      expect(hashers.get('upper').hash('a.txt', Buffer.from('x'))).to.equal('X')
+    })
+
+    it('should resolve package names from the base directory', () => {
+      writeModule('node_modules/semantic-hasher/index.js', 'module.exports = () => "canonical"\n')
+      const hashers = loadHashers({ semantic: 'semantic-hasher' }, workDir)
+      expect(hashers.get('semantic').hash('a.txt', Buffer.from('x'))).to.equal('canonical')
+    })
+
+    it('should throw when the module does not export a hash function', () => {
+      writeModule('invalid.js', 'module.exports = { digest: () => "x" }\n')
+      expect(() => loadHashers({ invalid: './invalid.js' }, workDir)).to.throw(
+        'Hasher module "./invalid.js" must export a function or an object with a hash function'
+      )
+    })
+
+    it('should register hashers under their normalized name', () => {
+      writeModule('hashers/deps.js', 'module.exports = () => ""\n')
+      const hashers = loadHashers({ packageDeps: './hashers/deps.js' }, workDir)
+      expect([...hashers.keys()]).to.deep.equal(['packagedeps'])
+    })
+
+    it('should return an empty map when no hashers are configured', () => {
+      expect(loadHashers(undefined, workDir).size).to.equal(0)
+    })
+  })
+
+  describe('parseHasherRules', () => {
+    const hashers = new Map([['deps', { hash: () => '', moduleHash: 'abc' }]])
+
+    it('should collect hasher assignments from source objects', () => {
+      const sources = ['src/main.c', { path: './**/package.json', hasher: 'deps' }]
+      expect(parseHasherRules(sources, hashers)).to.deep.equal([
+        { files: '**/package.json', hasher: 'deps', moduleHash: 'abc' },
+      ])
+    })
+
+    it('should match dashed and camelCase hasher names', () => {
+      const packageHashers = new Map([['packagedeps', { hash: () => '', moduleHash: 'abc' }]])
+      const sources = [
+        { path: 'package.json', hasher: 'package-deps' },
+        { path: 'web/package.json', hasher: 'packageDeps' },
+      ]
+      expect(parseHasherRules(sources, packageHashers)).to.deep.equal([
+        { files: 'package.json', hasher: 'packagedeps', moduleHash: 'abc' },
+        { files: 'web/package.json', hasher: 'packagedeps', moduleHash: 'abc' },
+      ])
+    })
+
+    it('should throw on an unknown hasher', () => {
+      const sources = [{ path: 'package.json', hasher: 'missing' }]
+      expect(() => parseHasherRules(sources, hashers)).to.throw('Unknown hasher "missing" for sources "package.json"')
+    })
+
+    it('should return an empty array when sources are not an array', () => {
+      expect(parseHasherRules(undefined, hashers)).to.deep.equal([])
+    })
+  })
+
+  describe('createHasherResolver', () => {
+    const hashers = new Map([
+      ['deps', { hash: () => 'deps', moduleHash: 'abc' }],
+      ['lock', { hash: () => 'lock', moduleHash: 'def' }],
+    ])
+
+    it('should return undefined when there are no rules', () => {
+      expect(createHasherResolver([], hashers)).to.be.undefined()
+    })
+
+    it('should return the hasher of the first matching rule', () => {
+      const resolve = createHasherResolver(
+        [
+          { files: '**/package.json', hasher: 'deps' },
+          { files: 'web', hasher: 'lock' },
+        ],
+        hashers
+      )
+      expect(resolve('web/package.json').name).to.equal('deps')
+      expect(resolve('web/package-lock.json').name).to.equal('lock')
+      expect(resolve('src/main.c')).to.be.undefined()
+    })
+  })
+})
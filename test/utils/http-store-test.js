@@ -0,0 +1,194 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir, startHttpCacheServer, trapAsyncError } = require('../harness')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const { expandHeaders, createHttpStore } = require('../../lib/utils/http-store')
+const { packDirectory } = require('../../lib/utils/archive')
+
+describe('utils/http-store', () => {
+  let workDir
+  let server
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'http-store-test-'))
+  })
+
+  afterEach(async () => {
+    if (server) await server.close()
+    server = undefined
+    await cleanDir(workDir)
+  })
+
+  const createLogger = () => {
+    const messages = []
+    const logger = {
+      messages,
+      debug: (msg) => messages.push({ level: 'debug', msg }),
+      warn: (msg) => messages.push({ level: 'warn', msg }),
+    }
+    return logger
+  }
+
+  const writeOutputs = () => {
+    const outputPath = ospath.join(workDir, 'worktree/build/output')
+    fs.mkdirSync(ospath.join(outputPath, 'api'), { recursive: true })
+    fs.writeFileSync(ospath.join(outputPath, 'index.html'), '<html></html>')
+    fs.writeFileSync(ospath.join(outputPath, 'api/a.html'), 'a')
+    return outputPath
+  }
+
+  describe('expandHeaders', () => {
+    it('should expand environment variable references in values', () => {
+      // eslint-disable-next-line no-template-curly-in-string
+      const headers = { Authorization: 'Bearer ${CACHE_TOKEN}', 'X-Team': 'docs${UNSET}' }
+      expect(expandHeaders(headers, { CACHE_TOKEN: 'secret' })).to.deep.equal({
+        Authorization: 'Bearer secret',
+        'X-Team': 'docs',
+      })
+    })
+
+    it('should accept a list of name/value entries', () => {
+      // eslint-disable-next-line no-template-curly-in-string
+      const headers = [{ name: 'X-Api-Key', value: '${KEY}' }]
+      expect(expandHeaders(headers, { KEY: 'abc' })).to.deep.equal({ 'X-Api-Key': 'abc' })
+    })
+
+    it('should return an empty object when no headers are given', () => {
+      expect(expandHeaders(undefined)).to.deep.equal({})
+    })
+  })
+
+  describe('createHttpStore', () => {
+    it('should require a url', () => {
+      expect(() => createHttpStore({})).to.throw('The http cache store requires a url option')
+    })
+
+    it('should store pointers in the action cache', async () => {
+      server = await startHttpCacheServer()
+      const store = createHttpStore({ url: `${server.url}/` })
+      const pointer = { outputDir: 'abc123', sources: { 'src/main.c': 'h1' } }
+
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.be.null()
+      await store.putPointer('comp', 'build', 'abc123', pointer)
+
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.deep.equal(pointer)
+      expect(await store.getPointer('comp', 'build', 'def456')).to.be.null()
+      expect(await store.getLatestPointer('comp', 'build')).to.deep.equal(pointer)
+      const puts = server.requests.filter((r) => r.method === 'PUT')
+      expect(puts.map((r) => r.url)).to.have.lengthOf(2)
+      puts.forEach(({ url }) => expect(url).to.match(/^\/ac\/[0-9a-f]{64}$/))
+    })
+
+    it('should store outputs as an archive in the content-addressable store', async () => {
+      server = await startHttpCacheServer()
+      const store = createHttpStore({ url: server.url })
+
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.false()
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.true()
+      expect(await store.hasOutputs('abc123', 'build/other')).to.be.false()
+
+      const [casUrl, archive] = [...server.entries].find(([url]) => url.startsWith('/cas/'))
+      expect(casUrl).to.equal(`/cas/${crypto.createHash('sha256').update(archive).digest('hex')}`)
+
+      const destination = ospath.join(workDir, 'restored')
+      await store.fetchOutputs('abc123', 'build/output', destination)
+      expect(fs.readFileSync(ospath.join(destination, 'index.html'), 'utf8')).to.equal('<html></html>')
+      expect(fs.readFileSync(ospath.join(destination, 'api/a.html'), 'utf8')).to.equal('a')
+    })
+
+    it('should reject outputs that do not match their digest', async () => {
+      server = await startHttpCacheServer()
+      const store = createHttpStore({ url: server.url })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      const [casUrl] = [...server.entries.keys()].filter((url) => url.startsWith('/cas/'))
+      fs.writeFileSync(ospath.join(workDir, 'worktree/build/output/index.html'), '<html>tampered</html>')
+      server.entries.set(casUrl, await packDirectory(ospath.join(workDir, 'worktree/build/output')))
+
+      const destination = ospath.join(workDir, 'restored')
+      const fetchOutputs = () => store.fetchOutputs('abc123', 'build/output', destination)
+      expect(await trapAsyncError(fetchOutputs)).to.throw('do not match their digest')
+      expect(fs.existsSync(destination)).to.be.false()
+    })
+
+    it('should send the configured headers with every request', async () => {
+      server = await startHttpCacheServer()
+      process.env.COLLECTOR_CACHE_TEST_TOKEN = 'secret'
+      try {
+        const store = createHttpStore({
+          url: server.url,
+          // eslint-disable-next-line no-template-curly-in-string
+          headers: { Authorization: 'Bearer ${COLLECTOR_CACHE_TEST_TOKEN}' },
+        })
+        await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+        await store.getPointer('comp', 'build', 'abc123')
+      } finally {
+        delete process.env.COLLECTOR_CACHE_TEST_TOKEN
+      }
+      expect(server.requests).to.have.lengthOf(3)
+      server.requests.forEach(({ headers }) => expect(headers.authorization).to.equal('Bearer secret'))
+    })
+
+    it('should continue without the cache when the server is unreachable', async () => {
+      server = await startHttpCacheServer()
+      const { url } = server
+      await server.close()
+      server = undefined
+
+      const logger = createLogger()
+      const store = createHttpStore({ url, logger })
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.be.null()
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.false()
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+
+      const warnings = logger.messages.filter((m) => m.level === 'warn')
+      expect(warnings).to.have.lengthOf(1)
+      expect(warnings[0].msg).to.include(`Remote cache ${url} unavailable`)
+    })
+
+    it('should give up on requests that exceed the timeout', async () => {
+      server = await startHttpCacheServer(() => true)
+      const logger = createLogger()
+      const store = createHttpStore({ url: server.url, timeout: 50, logger })
+
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.be.null()
+      expect(logger.messages.some((m) => m.level === 'warn' && m.msg.includes('timed out after 50ms'))).to.be.true()
+    })
+
+    it('should treat error responses as an unavailable server', async () => {
+      server = await startHttpCacheServer((req, res) => {
+        res.writeHead(401)
+        res.end()
+        return true
+      })
+      const logger = createLogger()
+      const store = createHttpStore({ url: server.url, logger })
+
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.be.null()
+      expect(logger.messages.some((m) => m.level === 'warn' && m.msg.includes('returned HTTP 401'))).to.be.true()
+    })
+
+    it('should throw server errors when fallback is disabled', async () => {
+      server = await startHttpCacheServer(() => true)
+      const store = createHttpStore({ url: server.url, timeout: 50, fallback: false })
+      expect(await trapAsyncError(() => store.getPointer('comp', 'build', 'abc123'))).to.throw('timed out')
+    })
+
+    it('should not fetch outputs once the server is unavailable', async () => {
+      server = await startHttpCacheServer()
+      const { url } = server
+      await server.close()
+      server = undefined
+
+      const store = createHttpStore({ url })
+      await store.getPointer('comp', 'build', 'abc123')
+      const fetchOutputs = () => store.fetchOutputs('abc123', 'build/output', ospath.join(workDir, 'restored'))
+      expect(await trapAsyncError(fetchOutputs)).to.throw(`Remote cache ${url} unavailable`)
+    })
+  })
+})
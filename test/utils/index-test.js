@@ -7,8 +7,11 @@ const utils = require('../../lib/utils')
 describe('utils/index', () => {
   it('should re-export hash utilities', () => {
     expect(utils.computeHashes).to.be.a('function')
+    expect(utils.mapConcurrent).to.be.a('function')
     expect(utils.computeContentHash).to.be.a('function')
+    expect(utils.computeGitObjectHashes).to.be.a('function')
     expect(utils.computeHash).to.be.a('function')
+    expect(utils.stableStringify).to.be.a('function')
   })
 
   it('should re-export fs utilities', () => {
@@ -20,6 +23,9 @@ describe('utils/index', () => {
 
   it('should re-export cache utilities', () => {
     expect(utils.loadPointerFile).to.be.a('function')
+    expect(utils.isPointerCurrent).to.be.a('function')
+    expect(utils.loadHashMemo).to.be.a('function')
+    expect(utils.saveHashMemo).to.be.a('function')
     expect(utils.savePointerFile).to.be.a('function')
     expect(utils.restoreFilesToWorktree).to.be.a('function')
   })
@@ -32,7 +38,45 @@ describe('utils/index', () => {
 
   it('should re-export sources utilities', () => {
     expect(utils.resolveSources).to.be.a('function')
-    expect(utils.resolveDependencySources).to.be.a('function')
     expect(utils.buildEntriesMap).to.be.a('function')
   })
+
+  it('should re-export key utilities', () => {
+    expect(utils.extractRunConfig).to.be.a('function')
+    expect(utils.resolveKeyCommands).to.be.a('function')
+    expect(utils.buildKeyInputs).to.be.a('function')
+  })
+
+  it('should re-export normalize utilities', () => {
+    expect(utils.parseNormalizeRules).to.be.a('function')
+    expect(utils.createNormalizeResolver).to.be.a('function')
+    expect(utils.normalizeContent).to.be.a('function')
+  })
+
+  it('should re-export hasher utilities', () => {
+    expect(utils.loadHashers).to.be.a('function')
+    expect(utils.parseHasherRules).to.be.a('function')
+    expect(utils.createHasherResolver).to.be.a('function')
+  })
+
+  it('should re-export store utilities', () => {
+    expect(utils.createLocalStore).to.be.a('function')
+    expect(utils.loadCacheStore).to.be.a('function')
+    expect(utils.createTieredStore).to.be.a('function')
+  })
+
+  it('should re-export remote cache utilities', () => {
+    expect(utils.openRequest).to.be.a('function')
+    expect(utils.sendRequest).to.be.a('function')
+    expect(utils.withUploadArchive).to.be.a('function')
+    expect(utils.parseJsonBody).to.be.a('function')
+    expect(utils.createRemoteFallback).to.be.a('function')
+    expect(utils.createHttpStore).to.be.a('function')
+    expect(utils.createS3Store).to.be.a('function')
+    expect(utils.signS3Request).to.be.a('function')
+    expect(utils.packDirectory).to.be.a('function')
+    expect(utils.unpackArchive).to.be.a('function')
+    expect(utils.writeArchive).to.be.a('function')
+    expect(utils.extractArchive).to.be.a('function')
+  })
 })
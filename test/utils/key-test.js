@@ -0,0 +1,255 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir } = require('../harness')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const {
+  normalizePropertyName,
+  extractRunConfig,
+  resolveHashEnv,
+  resolveToolVersions,
+  resolveKeyCommands,
+  buildKeyInputs,
+} = require('../../lib/utils/key')
+
+describe('utils/key', () => {
+  let workDir
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'key-test-'))
+  })
+
+  afterEach(async () => {
+    await cleanDir(workDir)
+  })
+
+  describe('normalizePropertyName', () => {
+    it('should normalize kebab-case, camelCase and lowercased names to the same value', () => {
+      expect(normalizePropertyName('cache-dir')).to.equal('cachedir')
+      expect(normalizePropertyName('cacheDir')).to.equal('cachedir')
+      expect(normalizePropertyName('cachedir')).to.equal('cachedir')
+    })
+  })
+
+  describe('extractRunConfig', () => {
+    it('should keep properties that affect the collector output', () => {
+      const run = { key: 'build', command: 'make docs', dir: 'docs', env: [{ name: 'MODE', value: 'html' }] }
+      expect(extractRunConfig(run)).to.deep.equal({
+        command: 'make docs',
+        dir: 'docs',
+        env: [{ name: 'MODE', value: 'html' }],
+      })
+    })
+
+    it('should drop properties consumed by the extension', () => {
+      const run = {
+        key: 'build',
+        sources: ['src/main.c'],
+        sourcesExclude: ['**/*.bak'],
+        sourceSubmodules: ['vendor/sdk'],
+        keyCommands: ['pip freeze'],
+        sourcecommands: ['git ls-files'],
+        cachedir: 'build/output',
+        dependsOn: ['other'],
+        restoreToWorktree: ['**/*.h'],
+        command: 'make docs',
+      }
+      expect(extractRunConfig(run)).to.deep.equal({ command: 'make docs' })
+    })
+
+    it('should keep unknown collector properties', () => {
+      expect(extractRunConfig({ command: 'make', local: true })).to.deep.equal({ command: 'make', local: true })
+    })
+
+    it('should drop undefined values', () => {
+      expect(extractRunConfig({ command: 'make', dir: undefined })).to.deep.equal({ command: 'make' })
+    })
+
+    it('should return empty object when run is missing', () => {
+      expect(extractRunConfig(undefined)).to.deep.equal({})
+    })
+
+    it('should drop run.hash-env and run.tool-versions', () => {
+      const run = { command: 'make', hashenv: ['BOARD'], toolversions: ['doxygen --version'] }
+      expect(extractRunConfig(run)).to.deep.equal({ command: 'make' })
+    })
+  })
+
+  describe('resolveHashEnv', () => {
+    it('should resolve values of declared variables', () => {
+      const env = { BOARD: 'nrf52', DOC_PROFILE: 'full', OTHER: 'x' }
+      expect(resolveHashEnv(['BOARD', 'DOC_PROFILE'], env)).to.deep.equal({ BOARD: 'nrf52', DOC_PROFILE: 'full' })
+    })
+
+    it('should record unset variables as null', () => {
+      expect(resolveHashEnv(['SPHINXOPTS'], {})).to.deep.equal({ SPHINXOPTS: null })
+    })
+
+    it('should distinguish empty values from unset variables', () => {
+      expect(resolveHashEnv(['SPHINXOPTS'], { SPHINXOPTS: '' })).to.deep.equal({ SPHINXOPTS: '' })
+    })
+
+    it('should default to process.env', () => {
+      expect(resolveHashEnv(['NODE_ENV'])).to.deep.equal({ NODE_ENV: 'test' })
+    })
+
+    it('should return empty object when names are missing', () => {
+      expect(resolveHashEnv(undefined)).to.deep.equal({})
+    })
+  })
+
+  describe('resolveToolVersions', () => {
+    it('should record trimmed stdout of each probe', async () => {
+      const toolVersions = await resolveToolVersions(workDir, ['echo "doxygen 1.9.8"', 'printf "dot 2.43\\n\\n"'])
+      expect(toolVersions).to.deep.equal({
+        'echo "doxygen 1.9.8"': 'doxygen 1.9.8',
+        'printf "dot 2.43\\n\\n"': 'dot 2.43',
+      })
+    })
+
+    it('should run probes in the worktree', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'VERSION'), '3.1\n')
+      expect(await resolveToolVersions(workDir, ['cat VERSION'])).to.deep.equal({ 'cat VERSION': '3.1' })
+    })
+
+    it('should record null and warn when a probe fails', async () => {
+      const messages = []
+      const logger = {
+        debug: (msg) => messages.push({ level: 'debug', msg }),
+        warn: (msg) => messages.push({ level: 'warn', msg }),
+      }
+
+      const toolVersions = await resolveToolVersions(workDir, ['exit 1'], logger, 'comp', 'key')
+      expect(toolVersions).to.deep.equal({ 'exit 1': null })
+      expect(messages.some((m) => m.level === 'debug' && m.msg.includes('Probing tool versions'))).to.be.true()
+      expect(messages.some((m) => m.level === 'warn' && m.msg.includes('tool version probe'))).to.be.true()
+    })
+
+    it('should record null without logger when a probe fails', async () => {
+      expect(await resolveToolVersions(workDir, ['exit 1'])).to.deep.equal({ 'exit 1': null })
+    })
+
+    it('should return empty object when no probes are declared', async () => {
+      expect(await resolveToolVersions(workDir, [])).to.deep.equal({})
+      expect(await resolveToolVersions(workDir, undefined)).to.deep.equal({})
+    })
+  })
+
+  describe('resolveKeyCommands', () => {
+    it('should record the verbatim stdout of each command', async () => {
+      const keyCommands = await resolveKeyCommands(workDir, ['printf "a==1.0\nb==2.0\n"'])
+      expect(keyCommands).to.deep.equal({ 'printf "a==1.0\nb==2.0\n"': 'a==1.0\nb==2.0\n' })
+    })
+
+    it('should run commands in the worktree', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'requirements.txt'), 'sphinx==7.2.6\n')
+      expect(await resolveKeyCommands(workDir, ['cat requirements.txt'])).to.deep.equal({
+        'cat requirements.txt': 'sphinx==7.2.6\n',
+      })
+    })
+
+    it('should throw when a command fails', async () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+      const err = await resolveKeyCommands(workDir, ['echo ok', 'exit 3'], logger, 'comp', 'key').catch((e) => e)
+      expect(err.message).to.equal('Key command "exit 3" failed: Command exited with code 3: ')
+      expect(messages.some((m) => m.includes('Running key commands for comp/key'))).to.be.true()
+    })
+
+    it('should return empty object when no commands are declared', async () => {
+      expect(await resolveKeyCommands(workDir, [])).to.deep.equal({})
+      expect(await resolveKeyCommands(workDir, undefined)).to.deep.equal({})
+    })
+  })
+
+  describe('buildKeyInputs', () => {
+    it('should include the run configuration', () => {
+      const keyInputs = buildKeyInputs({ key: 'build', sources: [], command: 'make docs' })
+      expect(keyInputs).to.deep.equal({ run: { command: 'make docs' } })
+    })
+
+    it('should include declared environment variables', () => {
+      const run = { key: 'build', command: 'make docs', hashenv: ['BOARD', 'DOC_PROFILE'] }
+      const keyInputs = buildKeyInputs(run, { env: { BOARD: 'nrf52' } })
+      expect(keyInputs).to.deep.equal({ run: { command: 'make docs' }, hashEnv: { BOARD: 'nrf52', DOC_PROFILE: null } })
+    })
+
+    it('should accept camelCase hashEnv', () => {
+      const keyInputs = buildKeyInputs({ command: 'make docs', hashEnv: ['BOARD'] }, { env: {} })
+      expect(keyInputs.hashEnv).to.deep.equal({ BOARD: null })
+    })
+
+    it('should include resolved tool versions', () => {
+      const toolVersions = { 'doxygen --version': '1.9.8' }
+      const keyInputs = buildKeyInputs({ command: 'make docs' }, { toolVersions })
+      expect(keyInputs.toolVersions).to.deep.equal(toolVersions)
+    })
+
+    it('should include the output of key commands', () => {
+      const keyCommands = { 'pip freeze': 'sphinx==7.2.6\n' }
+      expect(buildKeyInputs({ command: 'make docs' }, { keyCommands }).keyCommands).to.deep.equal(keyCommands)
+      expect(buildKeyInputs({ command: 'make docs' }, { keyCommands: {} })).to.not.have.property('keyCommands')
+    })
+
+    it('should omit tool versions when none were probed', () => {
+      expect(buildKeyInputs({ command: 'make docs' }, { toolVersions: {} })).to.not.have.property('toolVersions')
+    })
+
+    it('should include cache version as string', () => {
+      expect(buildKeyInputs({ command: 'make docs' }, { cacheVersion: 2 }).cacheVersion).to.equal('2')
+      expect(buildKeyInputs({ command: 'make docs' }, { cacheVersion: 'v2' }).cacheVersion).to.equal('v2')
+    })
+
+    it('should omit cache version when not set', () => {
+      expect(buildKeyInputs({ command: 'make docs' })).to.not.have.property('cacheVersion')
+      expect(buildKeyInputs({ command: 'make docs' }, { cacheVersion: '' })).to.not.have.property('cacheVersion')
+    })
+
+    it('should include source identity when sources are not hashed by content', () => {
+      expect(buildKeyInputs({ command: 'make' }, { sourceIdentity: 'git-blob' }).sourceIdentity).to.equal('git-blob')
+      expect(buildKeyInputs({ command: 'make' })).to.not.have.property('sourceIdentity')
+    })
+
+    it('should include normalization rules when sources are normalized', () => {
+      const normalize = [{ files: 'src/**', lineEndings: true }]
+      expect(buildKeyInputs({ command: 'make' }, { normalize }).normalize).to.deep.equal(normalize)
+      expect(buildKeyInputs({ command: 'make' }, { normalize: [] })).to.not.have.property('normalize')
+    })
+
+    it('should include custom hasher rules when sources use custom hashers', () => {
+      const hashers = [{ files: 'package.json', hasher: 'deps', moduleHash: 'abc' }]
+      expect(buildKeyInputs({ command: 'make' }, { hashers }).hashers).to.deep.equal(hashers)
+      expect(buildKeyInputs({ command: 'make' }, { hashers: [] })).to.not.have.property('hashers')
+    })
+
+    it('should include the content hashes of dependencies', () => {
+      const dependencies = { lib: 'abc123' }
+      expect(buildKeyInputs({ command: 'make' }, { dependencies }).dependencies).to.deep.equal(dependencies)
+      expect(buildKeyInputs({ command: 'make' }, { dependencies: {} })).to.not.have.property('dependencies')
+    })
+
+    it('should include the commits of submodules', () => {
+      const submodules = { 'vendor/sdk': '4bd2cf51a46c0d79737dbb8e19692377ed121d4b' }
+      expect(buildKeyInputs({ command: 'make' }, { submodules }).submodules).to.deep.equal(submodules)
+      expect(buildKeyInputs({ command: 'make' }, { submodules: {} })).to.not.have.property('submodules')
+    })
+
+    it('should include the hashes of external sources', () => {
+      const externalSources = { 'Doxyfile.base': 'abc123' }
+      expect(buildKeyInputs({ command: 'make' }, { externalSources }).externalSources).to.deep.equal(externalSources)
+      expect(buildKeyInputs({ command: 'make' }, { externalSources: {} })).to.not.have.property('externalSources')
+    })
+
+    it('should include file metadata when given', () => {
+      const fileMetadata = { 'gen.sh': { mode: '100755' } }
+      const run = { command: 'make', hashMetadata: true }
+      expect(buildKeyInputs(run, { fileMetadata })).to.deep.equal({ run: { command: 'make' }, fileMetadata })
+    })
+
+    it('should omit environment when no variables are declared', () => {
+      expect(buildKeyInputs({ command: 'make docs', hashenv: [] })).to.not.have.property('hashEnv')
+    })
+  })
+})
@@ -0,0 +1,121 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect } = require('../harness')
+const { parseNormalizeRules, createNormalizeResolver, normalizeContent } = require('../../lib/utils/normalize')
+
+describe('utils/normalize', () => {
+  describe('parseNormalizeRules', () => {
+    it('should collect rules from source objects', () => {
+      const sources = [
+        'src/main.c',
+        { path: 'include/**/*.h', normalize: { 'line-endings': true, 'ignore-lines': '^ \\* Copyright' } },
+      ]
+      expect(parseNormalizeRules(sources)).to.deep.equal([
+        { files: 'include/**/*.h', lineEndings: true, ignoreLines: ['^ \\* Copyright'] },
+      ])
+    })
+
+    it('should accept camelCase and lowercased option names', () => {
+      const sources = [
+        { path: 'a/**', normalize: { trailingWhitespace: true } },
+        { path: 'b/**', normalize: { lineendings: true } },
+      ]
+      expect(parseNormalizeRules(sources)).to.deep.equal([
+        { files: 'a/**', trailingWhitespace: true },
+        { files: 'b/**', lineEndings: true },
+      ])
+    })
+
+    it('should skip source objects without enabled normalizers', () => {
+      const sources = [{ path: 'src/**' }, { path: 'docs/**', normalize: { 'line-endings': false } }]
+      expect(parseNormalizeRules(sources)).to.deep.equal([])
+    })
+
+    it('should strip a leading ./ from the pattern', () => {
+      const sources = [{ path: './src/**', normalize: { 'line-endings': true } }]
+      expect(parseNormalizeRules(sources)[0].files).to.equal('src/**')
+    })
+
+    it('should warn about unknown normalizers', () => {
+      const messages = []
+      const logger = { warn: (msg) => messages.push(msg) }
+      const sources = [{ path: 'src/**', normalize: { 'strip-comments': true, 'line-endings': true } }]
+
+      expect(parseNormalizeRules(sources, logger)).to.deep.equal([{ files: 'src/**', lineEndings: true }])
+      expect(messages.some((m) => m.includes('Ignoring unknown normalizer "strip-comments"'))).to.be.true()
+    })
+
+    it('should throw on an invalid ignore-lines pattern', () => {
+      const sources = [{ path: 'src/**', normalize: { 'ignore-lines': ['('] } }]
+      expect(() => parseNormalizeRules(sources)).to.throw('Invalid ignore-lines pattern "(" for sources "src/**"')
+    })
+
+    it('should return an empty array when sources are not an array', () => {
+      expect(parseNormalizeRules(undefined)).to.deep.equal([])
+    })
+  })
+
+  describe('createNormalizeResolver', () => {
+    it('should return undefined when there are no rules', () => {
+      expect(createNormalizeResolver([])).to.be.undefined()
+    })
+
+    it('should match files by glob pattern', () => {
+      const resolve = createNormalizeResolver([{ files: 'include/**/*.h', lineEndings: true }])
+      expect(resolve('include/a/b.h')).to.deep.equal({ lineEndings: true })
+      expect(resolve('./include/a.h')).to.deep.equal({ lineEndings: true })
+      expect(resolve('src/main.c')).to.be.undefined()
+    })
+
+    it('should match files below a directory path', () => {
+      const resolve = createNormalizeResolver([{ files: 'docs/api', trailingWhitespace: true }])
+      expect(resolve('docs/api/index.md')).to.deep.equal({ trailingWhitespace: true })
+      expect(resolve('docs/apis.md')).to.be.undefined()
+    })
+
+    it('should combine the normalizers of all matching rules', () => {
+      const resolve = createNormalizeResolver([
+        { files: 'src/**', lineEndings: true, ignoreLines: ['^// a'] },
+        { files: '**/*.c', trailingWhitespace: true, ignoreLines: ['^// b'] },
+      ])
+      expect(resolve('src/main.c')).to.deep.equal({
+        lineEndings: true,
+        trailingWhitespace: true,
+        ignoreLines: ['^// a', '^// b'],
+      })
+    })
+  })
+
+  describe('normalizeContent', () => {
+    const normalize = (text, normalizers) => normalizeContent(Buffer.from(text), normalizers).toString()
+
+    it('should convert CRLF and CR line endings to LF', () => {
+      expect(normalize('a\r\nb\rc\n', { lineEndings: true })).to.equal('a\nb\nc\n')
+    })
+
+    it('should strip trailing spaces and tabs', () => {
+      expect(normalize('a  \nb\t\n c \n', { trailingWhitespace: true })).to.equal('a\nb\n c\n')
+    })
+
+    it('should keep CR line endings when only stripping whitespace', () => {
+      expect(normalize('a \r\nb\r\n', { trailingWhitespace: true })).to.equal('a\r\nb\r\n')
+    })
+
+    it('should drop lines matching ignore-lines patterns', () => {
+      const text = '/*\n * Copyright 2024 Example\n */\nint x;\r\n'
+      expect(normalize(text, { ignoreLines: ['Copyright \\d{4}'] })).to.equal('/*\n */\nint x;\r\n')
+    })
+
+    it('should match ignore-lines patterns against lines without a trailing CR', () => {
+      expect(normalize('keep\r\n// v1.2\r\n', { ignoreLines: ['^// v[\\d.]+$'] })).to.equal('keep\r\n')
+    })
+
+    it('should yield the same content for equivalent files', () => {
+      const normalizers = { lineEndings: true, trailingWhitespace: true, ignoreLines: ['Copyright \\d{4}'] }
+      const a = normalize('// Copyright 2023\r\nint x; \r\n', normalizers)
+      const b = normalize('// Copyright 2024\nint x;\n', normalizers)
+      expect(a).to.equal(b)
+    })
+  })
+})
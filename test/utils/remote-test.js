@@ -0,0 +1,154 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir, startHttpCacheServer, trapAsyncError } = require('../harness')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const { Readable } = require('stream')
+const {
+  openRequest,
+  readStream,
+  sendRequest,
+  withUploadArchive,
+  parseJsonBody,
+  createRemoteFallback,
+} = require('../../lib/utils/remote')
+
+describe('utils/remote', () => {
+  let server
+
+  afterEach(async () => {
+    if (server) await server.close()
+    server = undefined
+  })
+
+  const createLogger = () => {
+    const messages = []
+    return {
+      messages,
+      warn: (msg) => messages.push({ level: 'warn', msg }),
+    }
+  }
+
+  describe('openRequest', () => {
+    it('should stream the request body and the response body', async () => {
+      server = await startHttpCacheServer()
+      const url = new URL(`${server.url}/cas/abc123`)
+      const body = Readable.from([Buffer.from('cach'), Buffer.from('ed')])
+
+      const { statusCode } = await openRequest(url, { method: 'PUT', headers: { 'Content-Length': 6 }, body })
+      expect(statusCode).to.equal(200)
+      expect(server.requests[0].headers['content-length']).to.equal('6')
+      const response = await openRequest(url)
+      expect(response.statusCode).to.equal(200)
+      expect(response.body).to.be.an.instanceOf(Readable)
+      expect((await readStream(response.body)).toString('utf8')).to.equal('cached')
+    })
+  })
+
+  describe('sendRequest', () => {
+    it('should send the body and collect the response body', async () => {
+      server = await startHttpCacheServer()
+      const url = new URL(`${server.url}/ac/abc123`)
+
+      expect((await sendRequest(url, { method: 'PUT', body: Buffer.from('cached') })).statusCode).to.equal(200)
+      const { statusCode, body } = await sendRequest(url)
+      expect(statusCode).to.equal(200)
+      expect(body.toString('utf8')).to.equal('cached')
+      expect(server.requests[0].headers['content-length']).to.equal('6')
+    })
+
+    it('should reject when the server does not respond in time', async () => {
+      server = await startHttpCacheServer(() => true)
+      const url = new URL(`${server.url}/ac/abc123`)
+      expect(await trapAsyncError(sendRequest, url, { timeout: 50 })).to.throw('Request timed out after 50ms')
+    })
+  })
+
+  describe('withUploadArchive', () => {
+    let workDir
+
+    beforeEach(() => {
+      workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'remote-test-'))
+    })
+
+    afterEach(async () => {
+      await cleanDir(workDir)
+    })
+
+    it('should pass the archive file and its digest to the upload, then remove the file', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'index.html'), '<html></html>')
+      let uploadedPath
+      const result = await withUploadArchive(workDir, async (archivePath, { size, digest }) => {
+        uploadedPath = archivePath
+        const archive = fs.readFileSync(archivePath)
+        expect(size).to.equal(archive.length)
+        expect(digest).to.equal(crypto.createHash('sha256').update(archive).digest('hex'))
+        return 'uploaded'
+      })
+      expect(result).to.equal('uploaded')
+      expect(fs.existsSync(ospath.dirname(uploadedPath))).to.be.false()
+    })
+
+    it('should remove the archive file when the upload fails', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'index.html'), '<html></html>')
+      let uploadedPath
+      const upload = async (archivePath) => {
+        uploadedPath = archivePath
+        throw new Error('ECONNRESET')
+      }
+      expect(await trapAsyncError(withUploadArchive, workDir, upload)).to.throw('ECONNRESET')
+      expect(fs.existsSync(ospath.dirname(uploadedPath))).to.be.false()
+    })
+  })
+
+  describe('parseJsonBody', () => {
+    it('should parse a JSON response body', () => {
+      expect(parseJsonBody(Buffer.from('{"archive":"abc123"}'))).to.deep.equal({ archive: 'abc123' })
+    })
+
+    it('should return null for a missing resource', () => {
+      expect(parseJsonBody(null)).to.be.null()
+    })
+  })
+
+  describe('createRemoteFallback', () => {
+    it('should return the result of the operation while the remote cache works', async () => {
+      const remote = createRemoteFallback({ location: 'https://cache.example.org' })
+      expect(await remote.run(null, async () => 'result')).to.equal('result')
+      expect(remote.offline).to.be.false()
+    })
+
+    it('should warn once and return the fallback result after the remote cache fails', async () => {
+      const logger = createLogger()
+      const remote = createRemoteFallback({ location: 'https://cache.example.org', logger })
+      let calls = 0
+      const operation = async () => {
+        calls++
+        throw new Error('ECONNREFUSED')
+      }
+
+      expect(await remote.run(null, operation)).to.be.null()
+      expect(await remote.run(false, operation)).to.be.false()
+      expect(calls).to.equal(1)
+      expect(remote.offline).to.be.true()
+      expect(logger.messages).to.deep.equal([
+        {
+          level: 'warn',
+          msg: 'Remote cache https://cache.example.org unavailable (ECONNREFUSED) - continuing without it',
+        },
+      ])
+    })
+
+    it('should throw failures when fallback is disabled', async () => {
+      const remote = createRemoteFallback({ location: 'https://cache.example.org', fallback: false })
+      const operation = async () => {
+        throw new Error('ECONNREFUSED')
+      }
+      expect(await trapAsyncError(() => remote.run(null, operation))).to.throw('ECONNREFUSED')
+      expect(remote.offline).to.be.false()
+    })
+  })
+})
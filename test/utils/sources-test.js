@@ -9,9 +9,17 @@ const proxyquire = require('proxyquire')
 const EventEmitter = require('events')
 const {
   isGlobPattern,
+  isNegatedPattern,
+  buildSourcePatterns,
+  filterExcludedSources,
   expandGlobPatterns,
+  listDirectoryFiles,
+  expandDirectorySources,
+  resolveExternalSources,
+  createSourceMatcher,
+  mayReadFromDirectory,
+  runCommand,
   resolveSources,
-  resolveDependencySources,
   buildEntriesMap,
 } = require('../../lib/utils/sources')
 
@@ -50,6 +58,73 @@ describe('utils/sources', () => {
     })
   })
 
+  describe('isNegatedPattern', () => {
+    it('should return true for patterns starting with !', () => {
+      expect(isNegatedPattern('!src/**/test/**')).to.be.true()
+    })
+
+    it('should return false for other patterns', () => {
+      expect(isNegatedPattern('src/**')).to.be.false()
+      expect(isNegatedPattern('src/!important.txt')).to.be.false()
+    })
+  })
+
+  describe('buildSourcePatterns', () => {
+    it('should append exclusions as negated patterns', () => {
+      expect(buildSourcePatterns(['src/**'], ['**/*.bak'])).to.deep.equal(['src/**', '!**/*.bak'])
+    })
+
+    it('should not double-negate exclusions that are already negated', () => {
+      expect(buildSourcePatterns(['src/**'], ['!**/*.bak'])).to.deep.equal(['src/**', '!**/*.bak'])
+    })
+
+    it('should return sources unchanged when there are no exclusions', () => {
+      const sources = ['src/**']
+      expect(buildSourcePatterns(sources, undefined)).to.deep.equal(sources)
+      expect(buildSourcePatterns(sources, [])).to.deep.equal(sources)
+    })
+
+    it('should take the path of source objects', () => {
+      const sources = ['src/**', { path: 'include/**/*.h', normalize: { 'line-endings': true } }]
+      expect(buildSourcePatterns(sources, ['**/*.bak'])).to.deep.equal(['src/**', 'include/**/*.h', '!**/*.bak'])
+    })
+  })
+
+  describe('filterExcludedSources', () => {
+    it('should remove sources matching negated patterns', () => {
+      const sources = ['src/main.c', 'src/test/fixture.c', 'src/main.c~']
+      const result = filterExcludedSources(sources, ['src/**', '!src/**/test/**', '!**/*~'])
+      expect(result).to.deep.equal(['src/main.c'])
+    })
+
+    it('should match paths with a leading ./', () => {
+      expect(filterExcludedSources(['./gen/out.h', './src/a.h'], ['!gen/**'])).to.deep.equal(['./src/a.h'])
+    })
+
+    it('should match dot files', () => {
+      expect(filterExcludedSources(['src/.tmp/a.h'], ['!src/**/.tmp/**'])).to.deep.equal([])
+    })
+
+    it('should exclude all files below an excluded directory', () => {
+      const sources = ['docs/api/a.h', 'docs/api/internal/a.h', 'docs/api/internal/detail/b.h', 'docs/api/internals.h']
+      const result = filterExcludedSources(sources, ['docs/api', '!docs/api/internal', '!./docs/api/internal/detail/'])
+      expect(result).to.deep.equal(['docs/api/a.h', 'docs/api/internals.h'])
+    })
+
+    it('should log number of excluded sources', () => {
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      filterExcludedSources(['a.bak', 'b.c'], ['!*.bak'], logger)
+      expect(messages.some((m) => m.includes('Excluded 1 source(s)'))).to.be.true()
+    })
+
+    it('should return sources unchanged when there are no negated patterns', () => {
+      const sources = ['a.c']
+      expect(filterExcludedSources(sources, ['*.c'])).to.equal(sources)
+    })
+  })
+
   describe('expandGlobPatterns', () => {
     it('should expand glob patterns to matching files', () => {
       // Create test files
@@ -80,6 +155,21 @@ describe('utils/sources', () => {
       expect(result).to.include('src/b.txt')
     })
 
+    it('should remove files matching negated patterns', () => {
+      fs.mkdirSync(ospath.join(workDir, 'src', 'test'), { recursive: true })
+      fs.writeFileSync(ospath.join(workDir, 'src', 'main.c'), 'int main() {}')
+      fs.writeFileSync(ospath.join(workDir, 'src', 'main.c.orig'), 'int main() {}')
+      fs.writeFileSync(ospath.join(workDir, 'src', 'test', 'fixture.c'), 'void fixture() {}')
+
+      const result = expandGlobPatterns(workDir, ['src/**', '!src/**/test/**', '!**/*.orig'])
+      expect(result).to.deep.equal(['src/main.c'])
+    })
+
+    it('should apply negated patterns to plain paths', () => {
+      const result = expandGlobPatterns(workDir, ['src/main.c', 'src/generated.c', '!src/generated.c'])
+      expect(result).to.deep.equal(['src/main.c'])
+    })
+
     it('should return empty array for glob with no matches', () => {
       const result = expandGlobPatterns(workDir, ['nonexistent/*.xyz'])
       expect(result).to.have.lengthOf(0)
@@ -104,6 +194,200 @@ describe('utils/sources', () => {
     })
   })
 
+  describe('listDirectoryFiles', () => {
+    const createFile = (relativePath, content = '') => {
+      const filePath = ospath.join(workDir, relativePath)
+      fs.mkdirSync(ospath.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, content)
+    }
+
+    it('should list files recursively in sorted order', async () => {
+      createFile('docs/api/b.md')
+      createFile('docs/api/a.md')
+      createFile('docs/api/nested/c.md')
+
+      expect(await listDirectoryFiles(workDir, 'docs/api')).to.deep.equal([
+        'docs/api/a.md',
+        'docs/api/b.md',
+        'docs/api/nested/c.md',
+      ])
+    })
+
+    it('should accept a trailing slash', async () => {
+      createFile('docs/a.md')
+      expect(await listDirectoryFiles(workDir, 'docs/')).to.deep.equal(['docs/a.md'])
+    })
+
+    it('should skip .git directories', async () => {
+      createFile('docs/a.md')
+      createFile('docs/.git/HEAD')
+      expect(await listDirectoryFiles(workDir, 'docs')).to.deep.equal(['docs/a.md'])
+    })
+
+    it('should include symlinks to files and skip dangling symlinks', async () => {
+      createFile('docs/a.md')
+      fs.symlinkSync('a.md', ospath.join(workDir, 'docs', 'link.md'))
+      fs.symlinkSync('missing.md', ospath.join(workDir, 'docs', 'dangling.md'))
+      expect(await listDirectoryFiles(workDir, 'docs')).to.deep.equal(['docs/a.md', 'docs/link.md'])
+    })
+
+    it('should include ignored files by default', async () => {
+      createFile('.gitignore', '*.tmp\n')
+      createFile('docs/a.md')
+      createFile('docs/b.tmp')
+      expect(await listDirectoryFiles(workDir, 'docs')).to.deep.equal(['docs/a.md', 'docs/b.tmp'])
+    })
+
+    it('should skip files and directories ignored by .gitignore when enabled', async () => {
+      createFile('.gitignore', '*.tmp\nbuild/\n')
+      createFile('docs/.gitignore', 'scratch.md\n')
+      createFile('docs/a.md')
+      createFile('docs/b.tmp')
+      createFile('docs/scratch.md')
+      createFile('docs/build/out.html')
+
+      expect(await listDirectoryFiles(workDir, 'docs', { gitignore: true })).to.deep.equal([
+        'docs/.gitignore',
+        'docs/a.md',
+      ])
+    })
+
+    it('should skip files excluded by .git/info/exclude when enabled', async () => {
+      createFile('.git/info/exclude', 'local-notes.md\n')
+      createFile('docs/a.md')
+      createFile('docs/local-notes.md')
+      expect(await listDirectoryFiles(workDir, 'docs', { gitignore: true })).to.deep.equal(['docs/a.md'])
+    })
+  })
+
+  describe('mayReadFromDirectory', () => {
+    it('should be true for paths and patterns inside the directory', () => {
+      expect(mayReadFromDirectory('vendor/sdk', 'vendor/sdk')).to.be.true()
+      expect(mayReadFromDirectory('./vendor/sdk/include/sdk.h', 'vendor/sdk/')).to.be.true()
+      expect(mayReadFromDirectory('vendor/sdk/include/**/*.h', 'vendor/sdk')).to.be.true()
+    })
+
+    it('should be true for directories and patterns that may descend into the directory', () => {
+      expect(mayReadFromDirectory('vendor', 'vendor/sdk')).to.be.true()
+      expect(mayReadFromDirectory('.', 'vendor/sdk')).to.be.true()
+      expect(mayReadFromDirectory('**/*.h', 'vendor/sdk')).to.be.true()
+      expect(mayReadFromDirectory('vendor/*/include/*.h', 'vendor/sdk')).to.be.true()
+    })
+
+    it('should be false for paths and patterns outside the directory', () => {
+      expect(mayReadFromDirectory('README.md', 'vendor/sdk')).to.be.false()
+      expect(mayReadFromDirectory('src/**/*.c', 'vendor/sdk')).to.be.false()
+      expect(mayReadFromDirectory('vendor/sdk-tools/a.h', 'vendor/sdk')).to.be.false()
+      expect(mayReadFromDirectory('vendor/other/*.h', 'vendor/sdk')).to.be.false()
+    })
+  })
+
+  describe('createSourceMatcher', () => {
+    it('should match files by glob pattern and below directory paths', () => {
+      const matchesGlob = createSourceMatcher('./include/**/*.h')
+      expect(matchesGlob('include/a/b.h')).to.be.true()
+      expect(matchesGlob('./include/b.h')).to.be.true()
+      expect(matchesGlob('src/b.h')).to.be.false()
+
+      const matchesDir = createSourceMatcher('docs/api/')
+      expect(matchesDir('docs/api/index.md')).to.be.true()
+      expect(matchesDir('docs/apis.md')).to.be.false()
+    })
+  })
+
+  describe('resolveExternalSources', () => {
+    let playbookDir
+    let outsideDir
+
+    beforeEach(() => {
+      playbookDir = ospath.join(workDir, 'playbook')
+      outsideDir = ospath.join(workDir, 'outside')
+      fs.mkdirSync(ospath.join(playbookDir, 'doxygen/layouts'), { recursive: true })
+      fs.mkdirSync(outsideDir)
+      fs.writeFileSync(ospath.join(playbookDir, 'Doxyfile.base'), 'GENERATE_HTML = YES')
+      fs.writeFileSync(ospath.join(playbookDir, 'doxygen/layouts/layout.xml'), '<layout/>')
+      fs.writeFileSync(ospath.join(playbookDir, 'doxygen/layouts/layout.xml~'), 'backup')
+      fs.writeFileSync(ospath.join(outsideDir, 'shared.css'), 'body {}')
+    })
+
+    it('should resolve paths, directories and globs relative to the base directory', async () => {
+      const sources = await resolveExternalSources(playbookDir, [
+        'Doxyfile.base',
+        'doxygen/layouts',
+        'doxygen/**/*.xml',
+      ])
+      expect(sources).to.deep.equal(['Doxyfile.base', 'doxygen/layouts/layout.xml', 'doxygen/layouts/layout.xml~'])
+    })
+
+    it('should apply negated patterns', async () => {
+      const sources = await resolveExternalSources(playbookDir, ['doxygen', '!**/*~'])
+      expect(sources).to.deep.equal(['doxygen/layouts/layout.xml'])
+    })
+
+    it('should return absolute paths for files outside the base directory', async () => {
+      const absolutePath = ospath.join(outsideDir, 'shared.css')
+      expect(await resolveExternalSources(playbookDir, [absolutePath])).to.deep.equal([absolutePath])
+      expect(await resolveExternalSources(playbookDir, ['../outside/*.css'])).to.deep.equal([absolutePath])
+    })
+
+    it('should return paths inside the base directory relative to it when given as absolute paths', async () => {
+      const sources = await resolveExternalSources(playbookDir, [ospath.join(playbookDir, 'Doxyfile.base')])
+      expect(sources).to.deep.equal(['Doxyfile.base'])
+    })
+
+    it('should pass missing paths through unchanged', async () => {
+      expect(await resolveExternalSources(playbookDir, ['missing.txt'])).to.deep.equal(['missing.txt'])
+    })
+  })
+
+  describe('expandDirectorySources', () => {
+    it('should replace directories with their files and pass other paths through', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs'))
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'a.md'), 'a')
+      fs.writeFileSync(ospath.join(workDir, 'main.c'), 'int main() {}')
+
+      const result = await expandDirectorySources(workDir, ['main.c', 'docs', 'missing.c'], [])
+      expect(result).to.deep.equal(['main.c', 'docs/a.md', 'missing.c'])
+    })
+
+    it('should apply negated patterns to directory contents', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs'))
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'a.md'), 'a')
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'a.md~'), 'backup')
+
+      const result = await expandDirectorySources(workDir, ['docs'], ['docs', '!**/*~'])
+      expect(result).to.deep.equal(['docs/a.md'])
+    })
+
+    it('should log number of files in directory', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs'))
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'a.md'), 'a')
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+
+      await expandDirectorySources(workDir, ['docs'], [], { gitignore: true }, logger)
+      expect(messages.some((m) => m.includes('Directory "docs" contains 1 file(s) (honoring .gitignore)'))).to.be.true()
+    })
+  })
+
+  describe('runCommand', () => {
+    it('should resolve with stdout of the command', async () => {
+      expect(await runCommand('echo "1.9.8"', workDir)).to.equal('1.9.8\n')
+    })
+
+    it('should run the command in the given directory', async () => {
+      fs.writeFileSync(ospath.join(workDir, 'VERSION'), '2.0')
+      expect(await runCommand('cat VERSION', workDir)).to.equal('2.0')
+    })
+
+    it('should reject with stderr when command fails', async () => {
+      const err = await runCommand('echo "not found" >&2; exit 127', workDir).catch((e) => e)
+      expect(err).to.be.instanceOf(Error)
+      expect(err.message).to.include('code 127')
+      expect(err.message).to.include('not found')
+    })
+  })
+
   describe('resolveSources', () => {
     it('should return static sources when no commands', async () => {
       const sources = await resolveSources(workDir, ['a.txt', 'b.txt'], [])
@@ -122,6 +406,15 @@ describe('utils/sources', () => {
       expect(sources).to.include('include/two.h')
     })
 
+    it('should exclude directories below a directory source', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs/api/internal'), { recursive: true })
+      fs.writeFileSync(ospath.join(workDir, 'docs/api/a.h'), '#pragma once')
+      fs.writeFileSync(ospath.join(workDir, 'docs/api/internal/a.h'), '#pragma once')
+
+      const patterns = buildSourcePatterns(['docs/api'], ['docs/api/internal'])
+      expect(await resolveSources(workDir, patterns, ['echo docs/api/internal/b.h'])).to.deep.equal(['docs/api/a.h'])
+    })
+
     it('should return static sources when commands is null', async () => {
       const sources = await resolveSources(workDir, ['a.txt'], null)
       expect(sources).to.include('a.txt')
@@ -161,6 +454,32 @@ describe('utils/sources', () => {
       expect(sources).to.include('out.txt')
     })
 
+    it('should apply negated patterns to command output', async () => {
+      const command = 'printf "src/a.c\\nsrc/test/b.c\\n"'
+      const sources = await resolveSources(workDir, ['static.txt', '!src/**/test/**'], [command])
+      expect(sources).to.deep.equal(['static.txt', 'src/a.c'])
+    })
+
+    it('should expand directories in static sources and command output', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs', 'api'), { recursive: true })
+      fs.mkdirSync(ospath.join(workDir, 'templates'))
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'api', 'index.md'), '# API')
+      fs.writeFileSync(ospath.join(workDir, 'templates', 'layout.xml'), '<layout/>')
+
+      const sources = await resolveSources(workDir, ['docs/api'], ['echo templates'])
+      expect(sources).to.deep.equal(['docs/api/index.md', 'templates/layout.xml'])
+    })
+
+    it('should honor .gitignore in directory sources when enabled', async () => {
+      fs.mkdirSync(ospath.join(workDir, 'docs'))
+      fs.writeFileSync(ospath.join(workDir, '.gitignore'), '*.log\n')
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'index.md'), '# Docs')
+      fs.writeFileSync(ospath.join(workDir, 'docs', 'build.log'), 'noise')
+
+      const sources = await resolveSources(workDir, ['docs'], [], undefined, undefined, undefined, { gitignore: true })
+      expect(sources).to.deep.equal(['docs/index.md'])
+    })
+
     it('should handle command failure gracefully', async () => {
       const messages = []
       const logger = {
@@ -207,116 +526,6 @@ describe('utils/sources', () => {
     })
   })
 
-  describe('resolveDependencySources', () => {
-    it('should return empty when no dependencies', () => {
-      const result = resolveDependencySources(new Map(), [], new Set())
-      expect(result.sources).to.have.lengthOf(0)
-      expect(result.sourceCommands).to.have.lengthOf(0)
-    })
-
-    it('should return empty when dependsOn is null', () => {
-      const result = resolveDependencySources(new Map(), null, new Set())
-      expect(result.sources).to.have.lengthOf(0)
-    })
-
-    it('should resolve sources from dependencies', () => {
-      const entriesMap = new Map([['dep1', { key: 'dep1', sources: ['dep1.txt'], sourceCommands: [], dependsOn: [] }]])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set())
-      expect(result.sources).to.include('dep1.txt')
-    })
-
-    it('should resolve dependencies with full logging', () => {
-      const messages = []
-      const logger = {
-        debug: (msg) => messages.push({ level: 'debug', msg }),
-        warn: (msg) => messages.push({ level: 'warn', msg }),
-      }
-
-      const entriesMap = new Map([['dep1', { key: 'dep1', sources: ['dep1.txt'], sourceCommands: [], dependsOn: [] }]])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set(), logger, 'comp', 'key')
-      expect(result.sources).to.include('dep1.txt')
-      expect(messages.some((m) => m.msg.includes('Resolving dependencies'))).to.be.true()
-      expect(messages.some((m) => m.msg.includes('Resolved'))).to.be.true()
-    })
-
-    it('should detect circular dependencies without logger', () => {
-      const entriesMap = new Map([['a', { key: 'a', sources: ['a.txt'], sourceCommands: [], dependsOn: ['b'] }]])
-
-      const result = resolveDependencySources(entriesMap, ['a'], new Set(['a']))
-      expect(result.sources).to.have.lengthOf(0)
-    })
-
-    it('should warn when dependency not found without logger', () => {
-      const result = resolveDependencySources(new Map(), ['nonexistent'], new Set())
-      expect(result.sources).to.have.lengthOf(0)
-    })
-
-    it('should handle dependency without sources property', () => {
-      const entriesMap = new Map([['dep1', { key: 'dep1', sourceCommands: ['cmd'], dependsOn: [] }]])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set())
-      expect(result.sources).to.have.lengthOf(0)
-      expect(result.sourceCommands).to.include('cmd')
-    })
-
-    it('should handle dependency without sourceCommands property', () => {
-      const entriesMap = new Map([['dep1', { key: 'dep1', sources: ['file.txt'], dependsOn: [] }]])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set())
-      expect(result.sources).to.include('file.txt')
-      expect(result.sourceCommands).to.have.lengthOf(0)
-    })
-
-    it('should resolve dependencies with logger but without component info', () => {
-      const messages = []
-      const logger = {
-        debug: (msg) => messages.push({ level: 'debug', msg }),
-        warn: (msg) => messages.push({ level: 'warn', msg }),
-      }
-
-      const entriesMap = new Map([['dep1', { key: 'dep1', sources: ['dep1.txt'], sourceCommands: [], dependsOn: [] }]])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set(), logger)
-      expect(result.sources).to.include('dep1.txt')
-    })
-
-    it('should detect circular dependencies', () => {
-      const messages = []
-      const logger = { warn: (msg) => messages.push(msg) }
-
-      const entriesMap = new Map([
-        ['a', { key: 'a', sources: ['a.txt'], sourceCommands: [], dependsOn: ['b'] }],
-        ['b', { key: 'b', sources: ['b.txt'], sourceCommands: [], dependsOn: ['a'] }],
-      ])
-
-      resolveDependencySources(entriesMap, ['a'], new Set(['a']), logger)
-      expect(messages.some((m) => m.includes('Circular dependency'))).to.be.true()
-    })
-
-    it('should warn when dependency not found', () => {
-      const messages = []
-      const logger = { warn: (msg) => messages.push(msg) }
-
-      resolveDependencySources(new Map(), ['nonexistent'], new Set(), logger)
-      expect(messages.some((m) => m.includes('not found'))).to.be.true()
-    })
-
-    it('should resolve nested dependencies', () => {
-      const entriesMap = new Map([
-        ['dep1', { key: 'dep1', sources: ['dep1.txt'], sourceCommands: ['cmd1'], dependsOn: ['dep2'] }],
-        ['dep2', { key: 'dep2', sources: ['dep2.txt'], sourceCommands: ['cmd2'], dependsOn: [] }],
-      ])
-
-      const result = resolveDependencySources(entriesMap, ['dep1'], new Set())
-      expect(result.sources).to.include('dep1.txt')
-      expect(result.sources).to.include('dep2.txt')
-      expect(result.sourceCommands).to.include('cmd1')
-      expect(result.sourceCommands).to.include('cmd2')
-    })
-  })
-
   describe('buildEntriesMap', () => {
     it('should build map from entries array', () => {
       const entries = [
@@ -330,6 +539,11 @@ describe('utils/sources', () => {
       expect(map.get('build').sources).to.include('src.txt')
     })
 
+    it('should keep the run configuration of each entry', () => {
+      const run = { key: 'build', sources: ['src.txt'], command: 'make' }
+      expect(buildEntriesMap([{ run }]).get('build').run).to.equal(run)
+    })
+
     it('should skip entries without run.key', () => {
       const entries = [{ run: { key: 'valid', sources: [] } }, { run: { sources: [] } }, { scan: {} }]
 
@@ -338,6 +552,17 @@ describe('utils/sources', () => {
       expect(map.has('valid')).to.be.true()
     })
 
+    it('should fold sources-exclude into sources as negated patterns', () => {
+      const entries = [
+        { run: { key: 'lower', sources: ['src/**'], sourcesexclude: ['**/*.bak'] } },
+        { run: { key: 'camel', sources: ['src/**'], sourcesExclude: ['**/*.orig'] } },
+      ]
+
+      const map = buildEntriesMap(entries)
+      expect(map.get('lower').sources).to.deep.equal(['src/**', '!**/*.bak'])
+      expect(map.get('camel').sources).to.deep.equal(['src/**', '!**/*.orig'])
+    })
+
     it('should use empty arrays for missing sources and sourceCommands', () => {
       const entries = [{ run: { key: 'minimal' } }]
 
@@ -0,0 +1,327 @@
+/* eslint-env mocha */
+'use strict'
+
+const { expect, cleanDir, trapAsyncError } = require('../harness')
+const fs = require('fs')
+const os = require('os')
+const ospath = require('node:path')
+const { STORE_METHODS, createLocalStore, createTieredStore, loadCacheStore } = require('../../lib/utils/store')
+
+describe('utils/store', () => {
+  let workDir
+  let cacheDir
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(ospath.join(os.tmpdir(), 'store-test-'))
+    cacheDir = ospath.join(workDir, '.cache/antora/collector-cache')
+  })
+
+  afterEach(async () => {
+    await cleanDir(workDir)
+  })
+
+  const writeFile = (filename, content) => {
+    fs.mkdirSync(ospath.dirname(ospath.join(workDir, filename)), { recursive: true })
+    fs.writeFileSync(ospath.join(workDir, filename), content, 'utf8')
+  }
+
+  describe('createLocalStore', () => {
+    it('should store pointers in the hashes directory', async () => {
+      const store = createLocalStore({ dir: cacheDir })
+      const pointer = { outputDir: 'abc123', sources: { 'src/main.c': 'h1' } }
+      await store.putPointer('comp', 'build', 'abc123', pointer)
+
+      const pointerPath = ospath.join(cacheDir, 'hashes/comp/build/abc123.json')
+      expect(JSON.parse(fs.readFileSync(pointerPath, 'utf8'))).to.deep.equal(pointer)
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.deep.equal(pointer)
+      expect(await store.getLatestPointer('comp', 'build')).to.deep.equal(pointer)
+    })
+
+    it('should return null for unknown pointers', async () => {
+      const store = createLocalStore({ dir: cacheDir })
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.be.null()
+      expect(await store.getLatestPointer('comp', 'build')).to.be.null()
+    })
+
+    it('should store and fetch outputs by content hash', async () => {
+      const store = createLocalStore({ dir: cacheDir })
+      writeFile('worktree/build/output/index.html', '<html></html>')
+      writeFile('worktree/build/output/api/a.html', 'a')
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.false()
+
+      await store.storeOutputs('abc123', 'build/output', ospath.join(workDir, 'worktree/build/output'))
+      expect(fs.existsSync(ospath.join(cacheDir, 'outputs/abc123/build/output/api/a.html'))).to.be.true()
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.true()
+
+      const destination = ospath.join(workDir, 'restored')
+      await store.fetchOutputs('abc123', 'build/output', destination)
+      expect(fs.readFileSync(ospath.join(destination, 'index.html'), 'utf8')).to.equal('<html></html>')
+      expect(fs.readFileSync(ospath.join(destination, 'api/a.html'), 'utf8')).to.equal('a')
+    })
+  })
+
+  describe('createLocalStore with archive', () => {
+    const writeOutputs = () => {
+      writeFile('worktree/build/output/index.html', '<html></html>')
+      writeFile('worktree/build/output/api/a.html', 'a')
+      return ospath.join(workDir, 'worktree/build/output')
+    }
+
+    it('should store outputs as a compressed archive with a manifest', async () => {
+      const store = createLocalStore({ dir: cacheDir, archive: 'brotli' })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+
+      const outputsDir = ospath.join(cacheDir, 'outputs/abc123/build')
+      expect(fs.readdirSync(outputsDir).sort()).to.deep.equal(['output.manifest.json', 'output.tar.br'])
+      const manifest = JSON.parse(fs.readFileSync(ospath.join(outputsDir, 'output.manifest.json'), 'utf8'))
+      expect(manifest).to.include({ archive: 'output.tar.br', compression: 'brotli' })
+      expect(manifest.files.map((file) => file.path)).to.deep.equal(['api/a.html', 'index.html'])
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.true()
+
+      const destination = ospath.join(workDir, 'restored')
+      await store.fetchOutputs('abc123', 'build/output', destination)
+      expect(fs.readFileSync(ospath.join(destination, 'index.html'), 'utf8')).to.equal('<html></html>')
+      expect(fs.readFileSync(ospath.join(destination, 'api/a.html'), 'utf8')).to.equal('a')
+    })
+
+    it('should use gzip when archive is true', async () => {
+      const store = createLocalStore({ dir: cacheDir, archive: true })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      expect(fs.existsSync(ospath.join(cacheDir, 'outputs/abc123/build/output.tar.gz'))).to.be.true()
+    })
+
+    it('should fetch outputs stored with or without archives', async () => {
+      await createLocalStore({ dir: cacheDir }).storeOutputs('abc123', 'build/output', writeOutputs())
+      await createLocalStore({ dir: cacheDir, archive: 'gzip' }).storeOutputs('def456', 'build/output', writeOutputs())
+
+      for (const store of [
+        createLocalStore({ dir: cacheDir }),
+        createLocalStore({ dir: cacheDir, archive: 'brotli' }),
+      ]) {
+        for (const contentHash of ['abc123', 'def456']) {
+          const destination = ospath.join(workDir, 'restored', contentHash)
+          expect(await store.hasOutputs(contentHash, 'build/output')).to.be.true()
+          await store.fetchOutputs(contentHash, 'build/output', destination)
+          expect(fs.readFileSync(ospath.join(destination, 'index.html'), 'utf8')).to.equal('<html></html>')
+        }
+      }
+    })
+
+    it('should report outputs missing when the archive of a manifest is missing', async () => {
+      const store = createLocalStore({ dir: cacheDir, archive: 'gzip' })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      fs.rmSync(ospath.join(cacheDir, 'outputs/abc123/build/output.tar.gz'))
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.false()
+    })
+
+    it('should reject an archive that lacks files listed in its manifest', async () => {
+      const store = createLocalStore({ dir: cacheDir, archive: 'gzip' })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      const manifestPath = ospath.join(cacheDir, 'outputs/abc123/build/output.manifest.json')
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+      manifest.files.push({ path: 'lost.html', size: 1, mode: '644' })
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest))
+
+      const fetchOutputs = () => store.fetchOutputs('abc123', 'build/output', ospath.join(workDir, 'restored'))
+      expect(await trapAsyncError(fetchOutputs)).to.throw('contains 2 of 3 files')
+    })
+
+    it('should reject an unsupported compression', () => {
+      expect(() => createLocalStore({ dir: cacheDir, archive: 'zip' })).to.throw(
+        'Unsupported archive compression "zip"'
+      )
+    })
+  })
+
+  describe('createTieredStore', () => {
+    let local
+    let remote
+    let messages
+    let logger
+
+    beforeEach(() => {
+      local = createLocalStore({ dir: cacheDir })
+      remote = createLocalStore({ dir: ospath.join(workDir, 'remote') })
+      messages = []
+      logger = {
+        debug: (msg) => messages.push({ level: 'debug', msg }),
+        info: (msg) => messages.push({ level: 'info', msg }),
+        warn: (msg) => messages.push({ level: 'warn', msg }),
+      }
+    })
+
+    const writeOutputs = () => {
+      writeFile('worktree/build/output/index.html', '<html></html>')
+      return ospath.join(workDir, 'worktree/build/output')
+    }
+
+    it('should copy pointers found only in the remote tier to the local tier', async () => {
+      const store = createTieredStore({ local, remote, logger })
+      const pointer = { outputDir: 'abc123' }
+      await remote.putPointer('comp', 'build', 'abc123', pointer)
+
+      expect(await store.getPointer('comp', 'build', 'abc123')).to.deep.equal(pointer)
+      expect(await local.getPointer('comp', 'build', 'abc123')).to.deep.equal(pointer)
+      expect(await store.getPointer('comp', 'build', 'def456')).to.be.null()
+    })
+
+    it('should prefer the latest pointer of the local tier', async () => {
+      const store = createTieredStore({ local, remote, logger })
+      await remote.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      expect(await store.getLatestPointer('comp', 'build')).to.deep.equal({ outputDir: 'abc123' })
+
+      await local.putPointer('comp', 'build', 'def456', { outputDir: 'def456' })
+      expect(await store.getLatestPointer('comp', 'build')).to.deep.equal({ outputDir: 'def456' })
+    })
+
+    it('should fetch outputs from the local tier first and count hits by tier', async () => {
+      const store = createTieredStore({ local, remote, logger })
+      await remote.storeOutputs('abc123', 'build/output', writeOutputs())
+      expect(await store.hasOutputs('abc123', 'build/output')).to.be.true()
+      expect(await store.hasOutputs('def456', 'build/output')).to.be.false()
+
+      await store.fetchOutputs('abc123', 'build/output', ospath.join(workDir, 'restored'))
+      expect(await local.hasOutputs('abc123', 'build/output')).to.be.true()
+      fs.rmSync(ospath.join(workDir, 'remote'), { recursive: true })
+      await store.fetchOutputs('abc123', 'build/output', ospath.join(workDir, 'restored-again'))
+      expect(fs.readFileSync(ospath.join(workDir, 'restored-again/index.html'), 'utf8')).to.equal('<html></html>')
+
+      await store.close()
+      expect(messages).to.deep.include({ level: 'info', msg: 'Cache hits by tier: 1 local, 1 remote' })
+    })
+
+    it('should write to both tiers before returning', async () => {
+      const store = createTieredStore({ local, remote, logger })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+
+      for (const tier of [local, remote]) {
+        expect(await tier.hasOutputs('abc123', 'build/output')).to.be.true()
+        expect(await tier.getPointer('comp', 'build', 'abc123')).to.deep.equal({ outputDir: 'abc123' })
+      }
+    })
+
+    it('should upload to the remote tier in the background until closed', async () => {
+      const uploads = []
+      const slowRemote = {
+        ...remote,
+        storeOutputs: async (...args) => {
+          await new Promise((resolve) => setTimeout(resolve, 20))
+          uploads.push('outputs')
+          return remote.storeOutputs(...args)
+        },
+        putPointer: async (...args) => {
+          uploads.push('pointer')
+          return remote.putPointer(...args)
+        },
+      }
+      const store = createTieredStore({ local, remote: slowRemote, background: true, logger })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      expect(await local.getPointer('comp', 'build', 'abc123')).to.deep.equal({ outputDir: 'abc123' })
+      expect(uploads).to.be.empty()
+
+      await store.close()
+      expect(uploads).to.deep.equal(['outputs', 'pointer'])
+      expect(await remote.getPointer('comp', 'build', 'abc123')).to.deep.equal({ outputDir: 'abc123' })
+    })
+
+    it('should not upload the pointer of outputs that failed to upload in the background', async () => {
+      const failingRemote = {
+        ...remote,
+        storeOutputs: async () => {
+          throw new Error('connection reset')
+        },
+      }
+      const store = createTieredStore({ local, remote: failingRemote, background: true, logger })
+      await store.storeOutputs('abc123', 'build/output', writeOutputs())
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      await store.close()
+
+      expect(await remote.getPointer('comp', 'build', 'abc123')).to.be.null()
+      expect(messages).to.deep.include({
+        level: 'warn',
+        msg: 'Failed to upload abc123 to the remote cache: connection reset',
+      })
+    })
+  })
+
+  describe('loadCacheStore', () => {
+    const context = () => ({ playbookDir: workDir, cacheDir })
+
+    it('should create the local store by default', async () => {
+      const store = loadCacheStore(undefined, context())
+      expect(store.name).to.equal('local')
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      expect(fs.existsSync(ospath.join(cacheDir, 'hashes/comp/build/abc123.json'))).to.be.true()
+    })
+
+    it('should create the http store', () => {
+      const store = loadCacheStore({ require: 'http', url: 'http://localhost:9090' }, context())
+      expect(store.name).to.equal('http')
+    })
+
+    it('should create the s3 store', () => {
+      const store = loadCacheStore({ require: 's3', bucket: 'docs', endpoint: 'http://localhost:9000' }, context())
+      expect(store.name).to.equal('s3')
+    })
+
+    it('should create the tiered store from the configurations of its tiers', async () => {
+      const storeConfig = { require: 'tiered', dir: 'local-cache', remote: { require: 'local', dir: 'remote-cache' } }
+      const store = loadCacheStore(storeConfig, context())
+      expect(store.name).to.equal('tiered (local + local)')
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      expect(fs.existsSync(ospath.join(workDir, 'local-cache/hashes/comp/build/abc123.json'))).to.be.true()
+      expect(fs.existsSync(ospath.join(workDir, 'remote-cache/hashes/comp/build/abc123.json'))).to.be.true()
+    })
+
+    it('should require a remote tier for the tiered store', () => {
+      expect(() => loadCacheStore('tiered', context())).to.throw('The tiered cache store requires a remote option')
+    })
+
+    it('should resolve a relative dir option from the playbook directory', async () => {
+      const store = loadCacheStore({ require: 'local', dir: 'shared-cache' }, context())
+      await store.putPointer('comp', 'build', 'abc123', { outputDir: 'abc123' })
+      expect(fs.existsSync(ospath.join(workDir, 'shared-cache/hashes/comp/build/abc123.json'))).to.be.true()
+    })
+
+    it('should load a store module exporting a function and pass it the options', () => {
+      writeFile(
+        'stores/custom.js',
+        `module.exports = (options) => ({ name: 'custom', options, ${STORE_METHODS.map(
+          (m) => `${m}: async () => {}`
+        )} })\n`
+      )
+      const messages = []
+      const logger = { debug: (msg) => messages.push(msg) }
+      const store = loadCacheStore({ require: './stores/custom.js', bucket: 'docs' }, { ...context(), logger })
+
+      expect(store.name).to.equal('custom')
+      expect(store.options).to.deep.equal({ bucket: 'docs', dir: cacheDir, logger })
+      expect(messages).to.include('Using cache store: custom')
+    })
+
+    it('should load a store module exporting an object with a createStore function', () => {
+      writeFile(
+        'node_modules/cache-store-custom/index.js',
+        `module.exports = { createStore: () => ({ ${STORE_METHODS.map((m) => `${m}: async () => {}`)} }) }\n`
+      )
+      const store = loadCacheStore('cache-store-custom', context())
+      expect(store.getPointer).to.be.a('function')
+    })
+
+    it('should throw when the module does not export a factory', () => {
+      writeFile('invalid.js', 'module.exports = { store: {} }\n')
+      expect(() => loadCacheStore('./invalid.js', context())).to.throw(
+        'Cache store module "./invalid.js" must export a function or an object with a createStore function'
+      )
+    })
+
+    it('should throw when the store lacks required operations', () => {
+      writeFile('partial.js', 'module.exports = () => ({ getPointer: async () => null, putPointer: async () => {} })\n')
+      expect(() => loadCacheStore('./partial.js', context())).to.throw(
+        'Cache store "./partial.js" does not implement hasOutputs, fetchOutputs, storeOutputs'
+      )
+    })
+  })
+})